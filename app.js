@@ -1,51 +1,53 @@
 /**
- * Open Eyes Vote - Frontend Application with MongoDB Backend
+ * Open Eyes Vote - Frontend Application
+ * One UI for every deployment; data goes through the storage adapter picked in config.js.
  */
 
-const API_BASE_URL = 'http://localhost:5000/api';
-const SESSION_DURATION_MS = 10 * 60 * 1000; // 10 minutes
+const CHART_SESSION_COUNT = 7;
+const HISTORY_SESSION_COUNT = 50;
 
-// API Helper Functions
-const api = {
-    async request(endpoint, options = {}) {
-        const url = `${API_BASE_URL}${endpoint}`;
-        const response = await fetch(url, {
-            headers: { 'Content-Type': 'application/json' },
-            ...options
-        });
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'API Error');
-        }
-        return response.json();
-    },
-
-    auth: {
-        login: (data) => api.request('/auth/login', { method: 'POST', body: JSON.stringify(data) })
-    },
+// Shown with a poll's results so the numbers read right
+const POLL_TYPE_NOTES = {
+    MULTIPLE: 'Multiple choice',
+    RANKED: 'Ranked: first choices'
+};
 
-    sessions: {
-        getAll: () => api.request('/sessions'),
-        getActive: () => api.request('/sessions/active'),
-        start: () => api.request('/sessions/start', { method: 'POST' }),
-        end: (id) => api.request(`/sessions/${id}/end`, { method: 'POST' })
-    },
+// How each tally method reads, above its rounds
+const TALLY_METHOD_NOTES = {
+    PLURALITY: 'One vote per voter; the most votes wins.',
+    APPROVAL: 'Approval: each voter could pick several options; the most picked wins.',
+    INSTANT_RUNOFF: 'Instant runoff: each round drops the option(s) with the fewest votes and moves their ballots to the next choice, until one has more than half.'
+};
 
-    votes: {
-        getAll: () => api.request('/votes'),
-        getBySession: (sessionId) => api.request(`/votes/session/${sessionId}`),
-        cast: (data) => api.request('/votes', { method: 'POST', body: JSON.stringify(data) })
-    },
+// What voters are asked to do, under the question
+const POLL_TYPE_INSTRUCTIONS = {
+    SINGLE: 'The poll is open. Select your preferred boost for this session.',
+    MULTIPLE: 'Pick every option you like, then submit.',
+    RANKED: 'Tap the options in order of preference, favorite first, then submit. Tap again to unpick.'
+};
 
-    users: {
-        getAll: () => api.request('/users')
-    },
+// For text employees type in, such as preference notes, before it goes into innerHTML
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 
-    stats: {
-        get: () => api.request('/stats')
-    }
+const STORAGE_ADAPTERS = {
+    rest: RestAdapter,
+    local: LocalStorageAdapter,
+    firestore: FirestoreAdapter
 };
 
+if (!STORAGE_ADAPTERS[APP_CONFIG.storage]) {
+    throw new Error(`Unknown storage "${APP_CONFIG.storage}" in config.js`);
+}
+
+const storage = STORAGE_ADAPTERS[APP_CONFIG.storage](APP_CONFIG, {
+    onAuthError: (err) => app.onAuthError(err)
+});
+
 /**
  * Application State & Logic
  */
@@ -55,20 +57,40 @@ const app = {
     chartInstance: null,
     pollInterval: null,
     timerInterval: null,
+    prepTimer: null,
+    unsubscribeEvents: null,
     lastSessionId: null,
+    expiredSessionId: null,
+    activeSession: null,
+    sessionVotes: [],
+    myVote: null,
+    changingVote: false,
+    votingSession: null, // The session the employee is voting in
+    draftChoices: [], // Picked but not yet submitted, in multiple-choice and ranked polls
+    history: [],
+    chartSessions: [],
+    stats: { totals: {}, totalVotes: 0 },
+    users: [],
+    options: [],
+    editingOptionId: null,
+    editingUserId: null,
+    schedules: [],
+    editingScheduleId: null,
+    webhooks: [],
 
     init: async () => {
         try {
-            // Initialize server (create admin if needed)
-            await api.request('/init', { method: 'POST' });
+            // Connects the backend and seeds the admin and menu if needed
+            await storage.init();
         } catch (err) {
             console.error('Init error:', err);
+            app.showToast(`Storage unavailable: ${err.message}`, 'error');
         }
+        document.getElementById('field-setup-code').classList.toggle('hidden', !storage.features.setupCodes);
 
-        // Check Auth from localStorage
-        const storedUser = localStorage.getItem('brewvote_current_user');
-        if (storedUser) {
-            app.user = JSON.parse(storedUser);
+        // Pick up the previous login on this device, if it's still valid
+        app.user = await storage.auth.restore();
+        if (app.user) {
             app.navigate();
         } else {
             app.showView('view-login');
@@ -118,6 +140,7 @@ const app = {
         const btnEmp = document.getElementById('btn-role-employee');
         const btnAdm = document.getElementById('btn-role-admin');
         const nameField = document.getElementById('field-name');
+        const setupCodeField = document.getElementById('field-setup-code');
         const inputId = document.getElementById('input-id');
 
         if (mode === 'ADMIN') {
@@ -127,6 +150,7 @@ const app = {
             btnEmp.classList.add('text-gray-500');
             
             nameField.classList.add('hidden');
+            setupCodeField.classList.add('hidden');
             inputId.placeholder = 'ADM001';
         } else {
             btnEmp.classList.replace('text-gray-500', 'bg-white');
@@ -135,6 +159,7 @@ const app = {
             btnAdm.classList.add('text-gray-500');
 
             nameField.classList.remove('hidden');
+            setupCodeField.classList.toggle('hidden', !storage.features.setupCodes);
             inputId.placeholder = 'EMP...';
         }
     },
@@ -143,52 +168,66 @@ const app = {
         e.preventDefault();
         const id = document.getElementById('input-id').value;
         const name = document.getElementById('input-name').value;
+        const password = document.getElementById('input-password').value;
+        const setupCode = document.getElementById('input-setup-code').value.trim();
         const errorMsg = document.getElementById('login-error');
 
-        if (!id) return;
+        if (!id || !password) return;
 
         try {
-            const user = await api.auth.login({
+            app.user = await storage.auth.login({
                 employeeId: id,
                 name: name || undefined,
+                password,
+                setupCode: app.loginMode === 'EMPLOYEE' && setupCode ? setupCode : undefined,
                 role: app.loginMode
             });
 
-            app.user = user;
-            localStorage.setItem('brewvote_current_user', JSON.stringify(app.user));
+            document.getElementById('input-password').value = '';
+            document.getElementById('input-setup-code').value = '';
+            errorMsg.classList.add('hidden');
             app.navigate();
         } catch (err) {
             console.error('Login error:', err);
+            document.getElementById('login-error-text').textContent = err.message;
             errorMsg.classList.remove('hidden');
         }
     },
 
-    logout: () => {
+    logout: async () => {
         app.user = null;
-        localStorage.removeItem('brewvote_current_user');
-        clearInterval(app.pollInterval);
+        // Before the token goes, so the server stops pushing this person's reminders to this browser
+        await app.unregisterPush();
+        storage.auth.logout();
+        app.disconnectEvents();
         clearInterval(app.timerInterval);
+        clearTimeout(app.prepTimer);
+        // The next person on this device starts fresh
+        app.lastSessionId = null;
+        app.myVote = null;
+        app.changingVote = false;
         app.showView('view-login');
     },
 
     /* --- Employee Logic --- */
 
     initEmployeeDashboard: async () => {
-        // Only check status for admin users
-        if (app.user && app.user.role === 'ADMIN') {
-            await app.checkEmployeeStatus();
-            app.pollInterval = setInterval(app.checkEmployeeStatus, 5000);
-            
-            // Only request notification permission for admins
-            if (Notification.permission === 'default') {
-                document.getElementById('notification-permission-card').classList.remove('hidden');
-            }
-        } else {
-            // For non-admin users, hide the voting interface completely
-            document.getElementById('emp-state-waiting').classList.remove('hidden');
-            document.getElementById('emp-state-voting').classList.add('hidden');
-            document.getElementById('emp-state-voted').classList.add('hidden');
-            document.getElementById('notification-permission-card').classList.add('hidden');
+        app.renderReminderSettings();
+        await app.checkEmployeeStatus();
+        app.renderPreferenceSettings();
+        app.connectEvents({
+            'session.started': app.checkEmployeeStatus,
+            'session.ended': app.checkEmployeeStatus,
+            'vote.cast': app.checkEmployeeStatus,
+            'vote.changed': app.checkEmployeeStatus,
+            'vote.withdrawn': app.checkEmployeeStatus
+        }, app.checkEmployeeStatus, 5000);
+
+        // Check Notification Permission
+        if (Notification.permission === 'default') {
+            document.getElementById('notification-permission-card').classList.remove('hidden');
+        } else if (Notification.permission === 'granted') {
+            app.registerPush();
         }
     },
 
@@ -197,32 +236,137 @@ const app = {
             if (permission === 'granted') {
                 document.getElementById('notification-permission-card').classList.add('hidden');
                 app.showToast('Notifications enabled!', 'success');
+                app.registerPush();
             }
         });
     },
 
+    renderReminderSettings: () => {
+        const form = document.getElementById('reminder-settings');
+        form.classList.toggle('hidden', !storage.features.reminders);
+        if (!storage.features.reminders) return;
+
+        const reminders = app.user.reminders || {};
+        document.getElementById('reminder-email').value = reminders.email || '';
+    },
+
+    saveReminderSettings: async (e) => {
+        e.preventDefault();
+        try {
+            app.user = await storage.auth.updateReminders({
+                email: document.getElementById('reminder-email').value
+            });
+            app.renderReminderSettings();
+            app.showToast('Reminder settings saved', 'success');
+        } catch (err) {
+            console.error('Reminder settings error:', err);
+            app.showError(err);
+        }
+    },
+
+    // The usual answers for one menu option at a time; only options that ask something are listed
+    renderPreferenceSettings: () => {
+        const form = document.getElementById('preference-settings');
+        const asking = storage.features.preferences ? app.options.filter(o => o.isActive && app.modifiersOf(o.key).length) : [];
+        form.classList.toggle('hidden', asking.length === 0);
+        if (asking.length === 0) return;
+
+        const select = document.getElementById('preference-option');
+        const picked = asking.some(o => o.key === select.value) ? select.value : asking[0].key;
+        select.innerHTML = asking.map(o => `<option value="${o.key}">${escapeHtml(o.label)}</option>`).join('');
+        select.value = picked;
+
+        const usual = (app.user.preferences || {})[picked] || {};
+        document.getElementById('preference-fields').innerHTML = app.renderPreferenceFields(app.modifiersOf(picked), usual);
+    },
+
+    savePreferenceSettings: async (e) => {
+        e.preventDefault();
+        try {
+            const option = document.getElementById('preference-option').value;
+            app.user = await storage.auth.updatePreferences({
+                option,
+                preferences: app.readPreferenceFields(document.getElementById('preference-fields'))
+            });
+            app.renderPreferenceSettings();
+            app.showToast(`Saved your usual ${app.getOption(option).label}`, 'success');
+        } catch (err) {
+            console.error('Preference settings error:', err);
+            app.showError(err);
+        }
+    },
+
+    // Subscribes this browser to the server's Web Push so reminders arrive with the app closed
+    registerPush: async () => {
+        if (!storage.features.push || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            const { publicKey } = await storage.push.getKey();
+            const applicationServerKey = app.base64UrlToBytes(publicKey);
+
+            // A subscription made for other server keys would be rejected by the push service
+            let subscription = await registration.pushManager.getSubscription();
+            const subscribedKey = subscription && subscription.options.applicationServerKey;
+            if (subscription && (!subscribedKey || new Uint8Array(subscribedKey).join() !== applicationServerKey.join())) {
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+            if (!subscription) {
+                subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+            }
+            await storage.push.subscribe(subscription.toJSON());
+        } catch (err) {
+            console.error('Push registration error:', err);
+        }
+    },
+
+    unregisterPush: async () => {
+        if (!storage.features.push || !('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            const subscription = registration && await registration.pushManager.getSubscription();
+            if (!subscription) return;
+            await subscription.unsubscribe();
+            await storage.push.unsubscribe(subscription.endpoint);
+        } catch (err) {
+            console.error('Push unregister error:', err);
+        }
+    },
+
+    // VAPID keys come base64url encoded; PushManager wants the raw bytes
+    base64UrlToBytes: (value) => {
+        const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    },
+
     checkEmployeeStatus: async () => {
         try {
-            // Only admins can see active sessions
-            const session = await api.sessions.getActive({ userId: app.user.id });
+            const session = await storage.sessions.getActive();
+            await app.loadOptions();
             const waitView = document.getElementById('emp-state-waiting');
             const voteView = document.getElementById('emp-state-voting');
             const votedView = document.getElementById('emp-state-voted');
 
-            // Only show notifications for admin users
-            if (app.user.role === 'ADMIN') {
-                if (session && session.id !== app.lastSessionId) {
-                    if (app.lastSessionId !== null) { // Don't notify on first load
-                        app.showToast('🔔 Voting has started!', 'info');
-                        if (Notification.permission === 'granted') {
-                            new Notification("Open Eyes Vote", { body: "Voting started! Coffee or Tea?" });
-                        }
+            // Check for new session start (Notification)
+            if (session && session.id !== app.lastSessionId) {
+                if (app.lastSessionId !== null) { // Don't notify on first load
+                    app.showToast('🔔 Voting has started!', 'info');
+                    // Same tag as the Web Push notification, so the browser shows only one of them
+                    if (Notification.permission === 'granted') {
+                        new Notification("Open Eyes Vote", { body: "Voting started! Cast your vote.", tag: `session-${session.id}` });
                     }
                 }
             }
             app.lastSessionId = session ? session.id : null;
 
+            if (!session || !app.votingSession || app.votingSession.id !== session.id) {
+                app.draftChoices = [];
+            }
+            app.votingSession = session;
+
             if (!session) {
+                app.myVote = null;
+                app.changingVote = false;
                 waitView.classList.remove('hidden');
                 voteView.classList.add('hidden');
                 votedView.classList.add('hidden');
@@ -230,36 +374,25 @@ const app = {
             }
 
             // Check if voted
-            const votes = await api.votes.getBySession(session.id);
+            const votes = await storage.votes.getBySession(session.id);
             const myVote = votes.find(v => v.userId === app.user.id);
+            app.myVote = myVote || null;
+            if (!myVote) app.changingVote = false;
 
-            if (myVote) {
+            if (myVote && !app.changingVote) {
                 waitView.classList.add('hidden');
                 voteView.classList.add('hidden');
                 votedView.classList.remove('hidden');
                 
-                // Update Voted UI
-                const text = document.getElementById('voted-selection-text');
-                const icon = document.getElementById('voted-icon');
-                const container = document.getElementById('voted-icon-container');
-                const ping = document.getElementById('voted-ping');
-
-                text.textContent = myVote.type;
-                if (myVote.type === 'COFFEE') {
-                    container.className = "relative p-10 rounded-full shadow-2xl bg-gradient-to-br from-amber-100 to-amber-200";
-                    icon.setAttribute('class', 'w-20 h-20 text-amber-600');
-                    text.className = "px-4 py-1 rounded-full text-sm font-bold uppercase tracking-wider bg-amber-100 text-amber-700";
-                    ping.className = "absolute inset-0 rounded-full animate-ping opacity-20 bg-amber-400";
-                } else {
-                    container.className = "relative p-10 rounded-full shadow-2xl bg-gradient-to-br from-emerald-100 to-emerald-200";
-                    icon.setAttribute('class', 'w-20 h-20 text-emerald-600');
-                    text.className = "px-4 py-1 rounded-full text-sm font-bold uppercase tracking-wider bg-emerald-100 text-emerald-700";
-                    ping.className = "absolute inset-0 rounded-full animate-ping opacity-20 bg-emerald-400";
-                }
+                app.renderVotedChoice(app.ballotChoices(myVote), session, myVote.preferences);
             } else {
                 waitView.classList.add('hidden');
                 voteView.classList.remove('hidden');
                 votedView.classList.add('hidden');
+                document.getElementById('vote-change-cancel').classList.toggle('hidden', !app.changingVote);
+                document.getElementById('vote-secret-note').classList.toggle('hidden', !session.isAnonymous);
+                app.renderPollHeading(session);
+                app.renderVoteOptions(session);
             }
             lucide.createIcons();
         } catch (err) {
@@ -267,175 +400,569 @@ const app = {
         }
     },
 
-    castVote: async (type) => {
+    castVote: async (choices) => {
         try {
-            const session = await api.sessions.getActive();
-            if (!session) return;
+            const data = { choices };
+            // The preference fields are for whichever option was picked first
+            const fields = document.getElementById('vote-preferences-fields');
+            if (storage.features.preferences) {
+                data.preferences = fields.dataset.option === choices[0] ? app.readPreferenceFields(fields) : {};
+            }
 
-            await api.votes.cast({
-                sessionId: session.id,
-                userId: app.user.id,
-                userName: app.user.name,
-                type: type
-            });
+            if (app.changingVote && app.myVote) {
+                await storage.votes.update(app.myVote.id, data);
+                app.changingVote = false;
+                app.showToast('Vote Changed', 'success');
+            } else {
+                const session = await storage.sessions.getActive();
+                if (!session) return;
 
-            app.showToast('Vote Cast Successfully!', 'success');
+                await storage.votes.cast({
+                    sessionId: session.id,
+                    ...data
+                });
+                app.showToast('Vote Cast Successfully!', 'success');
+            }
+            app.draftChoices = [];
+            delete fields.dataset.option;
             app.checkEmployeeStatus();
         } catch (err) {
             console.error('Vote error:', err);
-            app.showToast(err.message, 'error');
+            app.showError(err);
+        }
+    },
+
+    // Single choice: votes straight away, unless the option asks how you'd like it
+    pickOption: (key) => {
+        if (app.modifiersOf(key).length === 0) {
+            app.castVote([key]);
+            return;
+        }
+        app.draftChoices = [key];
+        app.renderVoteOptions(app.votingSession);
+    },
+
+    // Multiple-choice and ranked polls: picking again unpicks, and later picks rank lower
+    toggleChoice: (key) => {
+        app.draftChoices = app.draftChoices.includes(key)
+            ? app.draftChoices.filter(k => k !== key)
+            : [...app.draftChoices, key];
+        app.renderVoteOptions(app.votingSession);
+    },
+
+    submitChoices: () => {
+        if (app.draftChoices.length === 0) {
+            app.showToast('Pick at least one option', 'error');
+            return;
+        }
+        app.castVote(app.draftChoices);
+    },
+
+    startChangeVote: () => {
+        app.changingVote = true;
+        app.draftChoices = app.myVote ? app.ballotChoices(app.myVote) : [];
+        app.checkEmployeeStatus();
+    },
+
+    cancelChangeVote: () => {
+        app.changingVote = false;
+        app.draftChoices = [];
+        app.checkEmployeeStatus();
+    },
+
+    withdrawVote: async () => {
+        if (!app.myVote || !confirm('Withdraw your vote? You can vote again while the session is open.')) return;
+        try {
+            await storage.votes.remove(app.myVote.id);
+            app.showToast('Vote Withdrawn', 'info');
+            app.checkEmployeeStatus();
+        } catch (err) {
+            console.error('Withdraw error:', err);
+            app.showError(err);
         }
     },
 
     /* --- Admin Logic --- */
 
-    initAdminDashboard: () => {
-        app.updateAdminUI();
+    initAdminDashboard: async () => {
+        try {
+            await app.loadOptions();
+        } catch (err) {
+            console.error('Options load error:', err);
+        }
+        app.renderOptionsAdmin();
+
+        // Panels for features only some backends have
+        document.getElementById('roster-panel').classList.toggle('hidden', !storage.features.roster && !storage.features.setupCodes);
+        document.getElementById('roster-form').classList.toggle('hidden', !storage.features.roster);
+        document.getElementById('roster-import').classList.toggle('hidden', !storage.features.roster);
+        document.getElementById('schedules-panel').classList.toggle('hidden', !storage.features.schedules);
+        document.getElementById('subscribers-panel').classList.toggle('hidden', !storage.features.subscribers);
+        document.getElementById('webhooks-panel').classList.toggle('hidden', !storage.features.webhooks);
+        document.getElementById('session-remind-before').classList.toggle('hidden', !storage.features.reminders);
+        document.getElementById('session-anonymous-label').classList.toggle('hidden', !storage.features.anonymous);
+        document.getElementById('export-controls').classList.toggle('hidden', !storage.features.exports);
+        document.getElementById('sheets-panel').classList.toggle('hidden', !storage.features.sheets);
+        document.getElementById('backup-panel').classList.toggle('hidden', !storage.features.backup);
+        document.getElementById('option-recipe').classList.toggle('hidden', !storage.features.prep);
+        document.getElementById('option-modifiers-row').classList.toggle('hidden', !storage.features.preferences);
+        document.getElementById('backup-legacy-btn').classList.toggle('hidden', !app.hasLegacyData());
+        document.getElementById('schedule-timezone').placeholder = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        app.renderRoster();
+        app.renderSchedules();
+        app.renderSubscribers();
+        app.renderWebhooks();
+        app.renderSheets();
+        await app.updateAdminUI();
         app.renderHistory();
         app.renderChart();
-        app.pollInterval = setInterval(() => {
+
+        // The countdown ticks locally; data changes arrive as live events, or by polling without them
+        app.timerInterval = setInterval(app.renderTimer, 1000);
+        app.connectEvents({
+            'session.started': app.onAdminSessionStarted,
+            'session.ended': app.onAdminSessionEnded,
+            'vote.cast': app.onAdminVoteCast,
+            'vote.changed': app.onAdminVoteChanged,
+            'vote.withdrawn': app.onAdminVoteWithdrawn,
+            'session.tally': app.onAdminSessionTally
+        }, () => {
             app.updateAdminUI();
-            app.renderChart(); // Refresh chart live
+            app.renderChart();
         }, 1000);
     },
 
+    // Full refresh from storage; used on load, after admin actions and whenever live events are unavailable
     updateAdminUI: async () => {
         try {
-            const session = await api.sessions.getActive();
-            const activeControls = document.getElementById('admin-controls-active');
-            const idleControls = document.getElementById('admin-controls-idle');
-            const liveStats = document.getElementById('admin-live-stats');
-            
-            // Calculate Totals
-            const stats = await api.stats.get();
-            document.getElementById('total-coffee').textContent = stats.coffeeTotal;
-            document.getElementById('total-tea').textContent = stats.teaTotal;
+            const session = await storage.sessions.getActive();
+            app.stats = await storage.stats.get();
+
+            // The session closed (deadline or another admin) since the last refresh
+            if (!session && app.lastSessionId) {
+                app.showToast('Session Ended', 'info');
+                app.renderHistory();
+            }
+            if ((session ? session.id : null) !== app.lastSessionId) {
+                app.renderSchedules(); // A run was just used up
+            }
+            app.lastSessionId = session ? session.id : null;
+            app.activeSession = session;
 
             if (session) {
-                activeControls.classList.remove('hidden');
-                activeControls.classList.add('flex');
-                idleControls.classList.add('hidden');
-                liveStats.classList.remove('hidden');
-                liveStats.classList.add('grid');
-
-                // Timer
-                const start = new Date(session.startTime).getTime();
-                const now = new Date().getTime();
-                const diff = (start + SESSION_DURATION_MS) - now;
-
-                if (diff <= 0) {
-                    app.endSession();
-                    return;
-                }
+                app.sessionVotes = await storage.votes.getBySession(session.id);
+                app.users = await storage.users.getAll();
+            } else {
+                app.sessionVotes = [];
+            }
+
+            app.renderAdminState();
+        } catch (err) {
+            console.error('Admin UI error:', err);
+        }
+    },
 
-                const m = Math.floor(diff / 60000);
-                const s = Math.floor((diff % 60000) / 1000);
-                document.getElementById('timer-display').textContent = `${m}m ${s}s`;
+    onAdminSessionStarted: async (session) => {
+        try {
+            app.users = await storage.users.getAll();
+        } catch (err) {
+            console.error('Users load error:', err);
+        }
+        app.lastSessionId = session.id;
+        app.activeSession = session;
+        app.sessionVotes = [];
+        app.renderAdminState();
+        app.renderSchedules();
+        app.renderChart();
+        // Webhook posts go out just after the event; show how they went
+        setTimeout(app.renderWebhooks, 3000);
+    },
 
-                // Live Stats
-                const votes = await api.votes.getBySession(session.id);
-                const c = votes.filter(v => v.type === 'COFFEE').length;
-                const t = votes.filter(v => v.type === 'TEA').length;
-                const total = c + t;
+    onAdminSessionEnded: (session) => {
+        // Sessions closed because a newer one started don't change the live view
+        if (app.activeSession && app.activeSession.id === session.id) {
+            if (app.lastSessionId) app.showToast('Session Ended', 'info');
+            app.lastSessionId = null;
+            app.activeSession = null;
+            app.sessionVotes = [];
+            app.renderAdminState();
+            app.renderSchedules();
+        }
+        app.renderHistory();
+        app.renderChart();
+        setTimeout(app.renderWebhooks, 3000);
+        setTimeout(app.renderSheets, 3000);
+    },
 
-                document.getElementById('live-count-coffee').textContent = c;
-                document.getElementById('live-count-tea').textContent = t;
-                
-                document.getElementById('live-bar-coffee').style.height = total > 0 ? `${(c/total)*100}%` : '0%';
-                document.getElementById('live-bar-tea').style.height = total > 0 ? `${(t/total)*100}%` : '0%';
+    // Live votes belong to the open session, so its poll type says what they count towards
+    adjustTotals: (vote, delta) => {
+        const pollType = app.activeSession && app.activeSession.pollType;
+        app.countedChoices(vote, pollType).forEach(key => {
+            app.stats.totals[key] = Math.max(0, (app.stats.totals[key] || 0) + delta);
+        });
+    },
 
-                // Pending Users
-                const users = await api.users.getAll();
-                const employees = users.filter(u => u.role === 'EMPLOYEE');
-                const votedIds = new Set(votes.map(v => v.userId));
-                const pending = employees.filter(u => !votedIds.has(u.id));
+    onAdminVoteCast: (vote) => {
+        app.adjustTotals(vote, 1);
+        app.stats.totalVotes++;
+        if (app.activeSession && vote.sessionId === app.activeSession.id) {
+            app.sessionVotes.push(vote);
+        }
+        app.renderAdminState();
+        app.adjustChart(vote, 1);
+    },
 
-                document.getElementById('pending-count-badge').textContent = pending.length;
-                const pendingContainer = document.getElementById('pending-users-list');
-                
-                if (pending.length === 0) {
-                    pendingContainer.innerHTML = '<span class="text-emerald-600 text-sm font-bold w-full text-center">All votes cast!</span>';
-                } else {
-                    pendingContainer.innerHTML = pending.map(u => `
-                        <span class="inline-flex items-center px-3 py-1.5 rounded-lg text-xs font-semibold bg-white border border-gray-200 text-gray-600 shadow-sm">
-                            <span class="w-2 h-2 rounded-full bg-gray-300 mr-2"></span>${u.name}
-                        </span>
-                    `).join('');
-                }
+    onAdminVoteChanged: (vote) => {
+        app.adjustTotals({ type: vote.previousType, choices: vote.previousChoices }, -1);
+        app.adjustTotals(vote, 1);
+        app.sessionVotes = app.sessionVotes.map(v => (v.id === vote.id ? vote : v));
+        app.renderAdminState();
+        app.adjustChart({ sessionId: vote.sessionId, type: vote.previousType, choices: vote.previousChoices }, -1);
+        app.adjustChart(vote, 1);
+    },
+
+    onAdminVoteWithdrawn: (vote) => {
+        app.adjustTotals(vote, -1);
+        app.stats.totalVotes = Math.max(0, app.stats.totalVotes - 1);
+        app.sessionVotes = app.sessionVotes.filter(v => v.id !== vote.id);
+        app.renderAdminState();
+        app.adjustChart(vote, -1);
+    },
+
+    // Secret ballots send only the session's new counts, so the live view is refetched rather than adjusted
+    onAdminSessionTally: (tally) => {
+        const session = app.chartSessions.find(s => s.id === tally.sessionId);
+        if (session) {
+            session.totals = tally.totals;
+            session.totalVotes = tally.totalVotes;
+            app.drawChart();
+        }
+        app.updateAdminUI();
+    },
+
+    renderTimer: () => {
+        if (!app.activeSession) return;
+
+        // Counts down to the stored deadline; the backend closes the session itself
+        const diff = Math.max(0, new Date(app.activeSession.closesAt).getTime() - Date.now());
+
+        // Refresh once when it runs out, in case no session.ended event is coming
+        if (diff === 0 && app.expiredSessionId !== app.activeSession.id) {
+            app.expiredSessionId = app.activeSession.id;
+            app.updateAdminUI();
+        }
+        const m = Math.floor(diff / 60000);
+        const s = Math.floor((diff % 60000) / 1000);
+        document.getElementById('timer-display').textContent = `${m}m ${s}s`;
+    },
+
+    renderAdminState: () => {
+        const session = app.activeSession;
+        const activeControls = document.getElementById('admin-controls-active');
+        const idleControls = document.getElementById('admin-controls-idle');
+        const liveStats = document.getElementById('admin-live-stats');
+
+        app.renderOptionTotals(app.stats.totals);
+
+        if (session) {
+            activeControls.classList.remove('hidden');
+            activeControls.classList.add('flex');
+            idleControls.classList.add('hidden');
+            liveStats.classList.remove('hidden');
+            liveStats.classList.add('grid');
 
+            app.renderTimer();
+            app.renderLiveStats(app.sessionVotes, session);
+
+            // Pending Users; deactivated employees aren't expected to vote
+            const employees = app.users.filter(u => u.role === 'EMPLOYEE' && u.isActive !== false);
+            const votedIds = new Set(app.sessionVotes.map(v => v.userId));
+            const pending = employees.filter(u => !votedIds.has(u.id));
+            // Secret-ballot votes don't say whose they are, so only the number still to vote is known
+            const pendingCount = session.isAnonymous ? Math.max(0, employees.length - app.sessionVotes.length) : pending.length;
+
+            document.getElementById('pending-count-badge').textContent = pendingCount;
+            document.getElementById('remind-pending-btn').classList.toggle('hidden', !storage.features.reminders || pendingCount === 0);
+            const pendingContainer = document.getElementById('pending-users-list');
+
+            if (pendingCount === 0) {
+                pendingContainer.innerHTML = '<span class="text-emerald-600 text-sm font-bold w-full text-center">All votes cast!</span>';
+            } else if (session.isAnonymous) {
+                pendingContainer.innerHTML = `<span class="text-gray-500 text-sm w-full text-center">Secret ballot: ${app.sessionVotes.length} of ${employees.length} have voted</span>`;
             } else {
-                activeControls.classList.add('hidden');
-                activeControls.classList.remove('flex');
-                idleControls.classList.remove('hidden');
-                liveStats.classList.add('hidden');
-                liveStats.classList.remove('grid');
+                pendingContainer.innerHTML = pending.map(u => `
+                    <span class="inline-flex items-center px-3 py-1.5 rounded-lg text-xs font-semibold bg-white border border-gray-200 text-gray-600 shadow-sm">
+                        <span class="w-2 h-2 rounded-full bg-gray-300 mr-2"></span>${escapeHtml(u.name)}
+                    </span>
+                `).join('');
             }
+
+        } else {
+            activeControls.classList.add('hidden');
+            activeControls.classList.remove('flex');
+            idleControls.classList.remove('hidden');
+            liveStats.classList.add('hidden');
+            liveStats.classList.remove('grid');
+        }
+        app.schedulePrep();
+    },
+
+    // Votes arrive in bursts, so the plan is fetched once things settle
+    schedulePrep: () => {
+        if (!storage.features.prep) return;
+        clearTimeout(app.prepTimer);
+        app.prepTimer = setTimeout(app.renderPrep, 1000);
+    },
+
+    // What to prepare for the open session, or the last one when none is open
+    renderPrep: async () => {
+        const panel = document.getElementById('prep-panel');
+        const session = app.activeSession || app.history.find(s => !s.isActive);
+        if (!session) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const prep = await storage.sessions.prep(session.id);
+            const { plan, forecast } = prep;
+            panel.classList.remove('hidden');
+            document.getElementById('prep-session').textContent = session.isActive
+                ? `${prep.votes} vote(s) so far`
+                : `Last session, ${new Date(session.startTime).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+
+            const more = forecast.basedOn > 0 && forecast.votes > prep.votes;
+            document.getElementById('prep-plan').innerHTML = `
+                <div>
+                    <p class="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">From ${prep.votes} vote(s)</p>
+                    ${app.renderPrepList(plan)}
+                </div>
+                <div>
+                    <p class="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">Forecast</p>
+                    ${more
+                        ? `<p class="text-xs text-gray-400 mb-3">If the usual ${forecast.votes} vote, going by the last ${forecast.basedOn} session(s)</p>
+                           ${app.renderPrepList(forecast)}`
+                        : `<p class="text-sm text-gray-400">${forecast.basedOn > 0
+                            ? 'Turnout is already at the usual level.'
+                            : 'No earlier sessions to go by yet.'}</p>`}
+                </div>
+            `;
+            lucide.createIcons();
         } catch (err) {
-            console.error('Admin UI error:', err);
+            console.error('Prep plan error:', err);
         }
     },
 
+    renderPrepList: ({ items, ingredients, groups = [] }) => {
+        if (items.length === 0) {
+            return '<p class="text-sm text-gray-400">Nothing to prepare.</p>';
+        }
+        return `
+            <ul class="space-y-1 mb-3">
+                ${items.map(i => {
+                    const option = app.getOption(i.key);
+                    return `
+                        <li class="flex items-center text-sm text-gray-800">
+                            <i data-lucide="${option.icon}" class="w-4 h-4 mr-2" style="color: ${option.color}"></i>
+                            <span class="font-bold mr-1">${i.servings}${i.unit ? ` ${escapeHtml(i.unit)}(s)` : ''}</span> ${escapeHtml(i.label)}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${ingredients.length ? `
+                <p class="text-xs text-gray-500">${ingredients.map(i => `${i.amount}${i.unit ? ` ${escapeHtml(i.unit)}` : ''} ${escapeHtml(i.name)}`).join(' · ')}</p>
+            ` : ''}
+            ${groups.some(g => g.answers.length || g.notes.length) ? `
+                <p class="text-xs font-semibold text-gray-500 uppercase tracking-wider mt-4 mb-2">Orders</p>
+                <ul class="space-y-2">
+                    ${groups.map(g => `
+                        <li class="text-sm text-gray-800">
+                            <span class="font-bold">${g.count}×</span> ${escapeHtml(g.label)}${g.answers.length ? ` <span class="text-gray-500">· ${g.answers.map(a => `${escapeHtml(a.label)}: ${escapeHtml(a.value)}`).join(' · ')}</span>` : ''}
+                            ${g.notes.map(n => `<span class="block text-xs text-gray-500 pl-6">${n.name ? `${escapeHtml(n.name)}, ` : ''}${escapeHtml(n.label.toLowerCase())}: ${escapeHtml(n.text)}</span>`).join('')}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    },
+
     startSession: async () => {
         try {
-            await api.sessions.start();
+            const durationMinutes = Number(document.getElementById('session-duration').value);
+            const data = { durationMinutes };
+            if (storage.features.reminders) {
+                data.remindBeforeMinutes = Number(document.getElementById('session-remind-before').value);
+            }
+            if (storage.features.anonymous) {
+                data.isAnonymous = document.getElementById('session-anonymous').checked;
+            }
+            Object.assign(data, app.pollSettings());
+            const session = await storage.sessions.start(data);
+
+            // Backends without notify() email subscribers themselves
+            if (storage.features.subscribers && storage.subscribers.notify) {
+                const menu = app.pollOptions(session).map(o => o.label).join(', ');
+                app.notifySubscribers(session.question
+                    ? `🗳️ New poll: ${session.question} Options: ${menu}`
+                    : `🎉 Voting session has started! Today's menu: ${menu}`);
+            }
+            app.resetPollSettings();
             app.showToast('Session Started!', 'success');
             app.updateAdminUI();
             app.renderHistory();
         } catch (err) {
             console.error('Start session error:', err);
-            app.showToast(err.message, 'error');
+            app.showError(err);
+        }
+    },
+
+    // The start form's question and options; nothing when it's a plain vote on the whole menu
+    pollSettings: () => {
+        const settings = {};
+        const question = document.getElementById('poll-question').value.trim();
+        const description = document.getElementById('poll-description').value.trim();
+        const pollType = document.getElementById('poll-type').value;
+        if (question) settings.question = question;
+        if (description) settings.description = description;
+        if (pollType !== 'SINGLE') settings.pollType = pollType;
+
+        const menu = [...document.querySelectorAll('#poll-menu-options input')];
+        const picked = menu.filter(input => input.checked).map(input => input.value);
+        const custom = document.getElementById('poll-custom-options').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(label => ({ label }));
+        if (custom.length || picked.length !== menu.length) {
+            settings.options = [...picked, ...custom];
+        }
+        return settings;
+    },
+
+    resetPollSettings: () => {
+        ['poll-question', 'poll-description', 'poll-custom-options'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('poll-type').value = 'SINGLE';
+        document.querySelectorAll('#poll-menu-options input').forEach(input => {
+            input.checked = true;
+        });
+        document.getElementById('poll-settings').open = false;
+    },
+
+    // A checkbox per active menu option, all ticked; rebuilt only when the menu changes
+    renderPollMenuOptions: () => {
+        const container = document.getElementById('poll-menu-options');
+        const active = app.options.filter(o => o.isActive);
+
+        const signature = active.map(o => `${o.key}:${o.label}`).join('|');
+        if (container.dataset.signature === signature) return;
+        container.dataset.signature = signature;
+
+        container.innerHTML = active.length
+            ? active.map(o => `
+                <label class="inline-flex items-center gap-1.5 px-3 py-1 rounded-full border border-gray-200 bg-white/70 text-xs font-semibold text-gray-700 cursor-pointer">
+                    <input type="checkbox" value="${o.key}" checked class="rounded text-indigo-600">
+                    <span class="w-2 h-2 rounded-full" style="background-color: ${o.color}"></span>${escapeHtml(o.label)}
+                </label>
+            `).join('')
+            : '<span class="text-xs text-gray-400">No active menu options</span>';
+    },
+
+    remindPending: async () => {
+        if (!app.activeSession) return;
+        try {
+            const { reminded, capped, unreachable } = await storage.sessions.remind(app.activeSession.id);
+            const skipped = [
+                capped ? `${capped} already reminded enough` : '',
+                unreachable ? `${unreachable} without reminder channels` : ''
+            ].filter(Boolean).join(', ');
+            app.showToast(`Reminded ${reminded}${skipped ? ` (${skipped})` : ''}`, reminded ? 'success' : 'info');
+            setTimeout(app.renderWebhooks, 3000);
+        } catch (err) {
+            console.error('Remind error:', err);
+            app.showError(err);
         }
     },
 
     endSession: async () => {
         try {
-            const session = await api.sessions.getActive();
+            const session = await storage.sessions.getActive();
             if (session) {
-                await api.sessions.end(session.id);
+                await storage.sessions.end(session.id);
             }
-            app.showToast('Session Ended', 'info');
+            // The refresh (or the session.ended event, whichever lands first) announces it
             app.updateAdminUI();
-            app.renderHistory();
         } catch (err) {
             console.error('End session error:', err);
-            app.showToast(err.message, 'error');
+            app.showError(err);
         }
     },
 
+    // Refetched on session events; live votes only adjust their session's column (adjustChart)
     renderChart: async () => {
+        try {
+            app.chartSessions = (await storage.sessions.getRecent(CHART_SESSION_COUNT)).reverse();
+            app.drawChart();
+        } catch (err) {
+            console.error('Chart render error:', err);
+        }
+    },
+
+    adjustChart: (vote, delta) => {
+        const session = app.chartSessions.find(s => s.id === vote.sessionId);
+        if (!session) return;
+        app.countedChoices(vote, session.pollType).forEach(key => {
+            session.totals[key] = Math.max(0, (session.totals[key] || 0) + delta);
+        });
+        app.drawChart();
+    },
+
+    drawChart: () => {
         try {
             const ctx = document.getElementById('trendsChart').getContext('2d');
-            const sessions = await api.sessions.getAll();
-            const votes = await api.votes.getAll();
-            
-            const recent = sessions.slice(0, 7).reverse();
+            const recent = app.chartSessions;
             const labels = recent.map(s => {
                 const d = new Date(s.startTime);
                 return `${d.getMonth()+1}/${d.getDate()}`;
             });
-            
-            const dataCoffee = recent.map(s => votes.filter(v => v.sessionId === s.id && v.type === 'COFFEE').length);
-            const dataTea = recent.map(s => votes.filter(v => v.sessionId === s.id && v.type === 'TEA').length);
+
+            // The menu, then whatever else the charted polls offered
+            const shown = [...app.options];
+            recent.forEach(s => app.pollOptions(s).forEach(o => {
+                if (!shown.some(known => known.key === o.key)) shown.push(o);
+            }));
+            const datasets = shown.map(o => ({
+                label: o.label,
+                data: recent.map(s => s.totals[o.key] || 0),
+                backgroundColor: o.color,
+                borderRadius: 4
+            }));
 
             if (app.chartInstance) {
-                app.chartInstance.data.labels = labels;
-                app.chartInstance.data.datasets[0].data = dataCoffee;
-                app.chartInstance.data.datasets[1].data = dataTea;
-                app.chartInstance.update();
+                app.updateChartDatasets(labels, datasets);
             } else {
                 app.chartInstance = new Chart(ctx, {
                     type: 'bar',
                     data: {
                         labels: labels,
-                        datasets: [
-                            { label: 'Coffee', data: dataCoffee, backgroundColor: '#d97706', borderRadius: 4 },
-                            { label: 'Tea', data: dataTea, backgroundColor: '#059669', borderRadius: 4 }
-                        ]
+                        datasets: datasets
                     },
                     options: {
                         responsive: true,
                         maintainAspectRatio: false,
-                        plugins: { legend: { position: 'bottom' } },
+                        plugins: {
+                            legend: { position: 'bottom' },
+                            tooltip: {
+                                callbacks: {
+                                    // Polls are named by their question
+                                    title: (items) => {
+                                        const session = app.chartSessions[items[0].dataIndex];
+                                        return session && session.question ? [items[0].label, session.question] : items[0].label;
+                                    }
+                                }
+                            }
+                        },
                         scales: { y: { beginAtZero: true, ticks: { precision: 0 } }, x: { grid: { display: false } } }
                     }
                 });
@@ -448,9 +975,9 @@ const app = {
     renderHistory: async () => {
         try {
             const tbody = document.getElementById('history-table-body');
-            const sessions = await api.sessions.getAll();
-            const history = sessions.filter(s => !s.isActive);
-            const votes = await api.votes.getAll();
+            const history = await storage.sessions.getRecent(HISTORY_SESSION_COUNT, true);
+            app.history = history;
+            app.schedulePrep();
 
             if (history.length === 0) {
                 tbody.innerHTML = '<tr><td colspan="4" class="px-8 py-8 text-center text-gray-400">No history yet.</td></tr>';
@@ -458,10 +985,6 @@ const app = {
             }
 
             tbody.innerHTML = history.map(s => {
-                const sVotes = votes.filter(v => v.sessionId === s.id);
-                const c = sVotes.filter(v => v.type === 'COFFEE').length;
-                const t = sVotes.filter(v => v.type === 'TEA').length;
-                const total = c + t;
                 const date = new Date(s.startTime).toLocaleDateString();
                 const time = new Date(s.startTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
                 
@@ -472,67 +995,1477 @@ const app = {
                     <tr class="hover:bg-white/60 transition-colors border-b border-gray-50">
                         <td class="px-8 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                             ${date} <span class="text-gray-400 text-xs">${time}</span>
+                            ${s.isAnonymous ? '<i data-lucide="lock" class="inline w-3.5 h-3.5 ml-1 text-gray-400" title="Secret ballot"></i>' : ''}
+                            ${s.question ? `<span class="block text-xs text-gray-500 font-normal max-w-xs truncate" title="${escapeHtml(s.question)}">${escapeHtml(s.question)}</span>` : ''}
                         </td>
-                        <td class="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">${s.totalVotes}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">${s.voteCount}</td>
                         <td class="px-6 py-4 whitespace-nowrap">
-                            <div class="flex items-center gap-2 text-xs">
-                                 <span class="text-amber-700 font-bold">${c}C</span> / <span class="text-emerald-700 font-bold">${t}T</span>
-                            </div>
+                            ${app.renderResultSummary(s.totals, s)}
+                            ${POLL_TYPE_NOTES[s.pollType] ? `<span class="text-[10px] text-gray-400 uppercase tracking-wide">${POLL_TYPE_NOTES[s.pollType]}</span>` : ''}
+                            ${s.results && s.results.winners.length ? `<span class="block text-xs font-semibold text-gray-700">Runoff: ${s.results.winners.map(key => escapeHtml(app.getOption(key, s).label)).join(' & ')} after ${s.results.rounds.length} round(s)</span>` : ''}
                         </td>
-                        <td class="px-6 py-4 text-right">
-                            <button onclick="app.toggleHistoryDetail('${detailId}')" class="text-indigo-600 text-xs font-bold hover:underline">View Details</button>
+                        <td class="px-6 py-4 whitespace-nowrap">
+                            <div class="flex items-center">
+                                <button onclick="app.toggleHistoryDetail('${detailId}', '${s.id}', ${Boolean(s.isAnonymous)})" class="text-indigo-600 text-xs font-bold hover:underline mr-4">View Details</button>
+                                ${storage.features.sheets ? `
+                                <button onclick="app.syncSessionToSheets('${s.id}')" class="text-green-600 text-xs font-bold hover:underline flex items-center mr-4" title="Write to Google Sheets">
+                                    <i data-lucide="sheet" class="w-3.5 h-3.5 mr-1"></i> Sheets
+                                </button>` : ''}
+                                <button onclick="app.deleteSession('${s.id}')" class="text-red-600 text-xs font-bold hover:underline flex items-center" title="Delete Session">
+                                    <i data-lucide="trash-2" class="w-3.5 h-3.5 mr-1"></i> Delete
+                                </button>
+                            </div>
                         </td>
                     </tr>
                     <tr id="${detailId}" class="hidden bg-gray-50/50 shadow-inner">
                         <td colspan="4" class="px-8 py-4">
                             <div class="flex flex-wrap gap-2 text-xs">
-                                ${sVotes.length ? sVotes.map(v => `
-                                    <span class="px-2 py-1 rounded border ${v.type === 'COFFEE' ? 'bg-amber-100 border-amber-200 text-amber-800' : 'bg-emerald-100 border-emerald-200 text-emerald-800'}">
-                                        ${v.userName}
-                                    </span>
-                                `).join('') : '<span class="text-gray-400">No votes</span>'}
+                                <span class="text-gray-400">Loading…</span>
                             </div>
                         </td>
                     </tr>
                 `;
             }).join('');
+            lucide.createIcons();
         } catch (err) {
             console.error('History render error:', err);
         }
     },
 
-    toggleHistoryDetail: (id) => {
+    // Downloads the sessions or votes spreadsheet for the picked days, taken in this browser's timezone
+    downloadExport: async (kind) => {
+        const from = document.getElementById('export-from').value;
+        const to = document.getElementById('export-to').value;
+        const format = document.getElementById('export-format').value;
+
+        try {
+            const blob = await storage.exports.download(kind, {
+                format,
+                from: from && new Date(`${from}T00:00:00`).toISOString(),
+                to: to && new Date(`${to}T23:59:59.999`).toISOString(),
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = ['brewvote', kind, from, to].filter(Boolean).join('-') + `.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (err) {
+            console.error('Export error:', err);
+            app.showError(err);
+        }
+    },
+
+    deleteSession: async (sessionId) => {
+        if (!confirm('Are you sure you want to delete this session? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await storage.sessions.remove(sessionId);
+            app.showToast('Session deleted successfully', 'success');
+            app.renderHistory();
+            app.renderChart();
+            app.updateAdminUI();
+        } catch (err) {
+            console.error('Delete session error:', err);
+            app.showError(err);
+        }
+    },
+
+    // Voter names, and the rounds of multiple-choice and ranked polls, are only fetched when a row is first expanded
+    toggleHistoryDetail: async (id, sessionId, isAnonymous) => {
         const el = document.getElementById(id);
         el.classList.toggle('hidden');
+        if (el.dataset.loaded) return;
+
+        try {
+            const session = app.history.find(s => s.id === sessionId);
+            const parts = [];
+            if (session && POLL_TYPE_NOTES[session.pollType]) {
+                parts.push(app.renderRounds(await storage.sessions.results(sessionId), session));
+            }
+
+            // Secret ballots: the totals and rounds are all there is to show
+            if (isAnonymous) {
+                parts.push('<span class="text-gray-400 flex items-center"><i data-lucide="lock" class="w-3.5 h-3.5 mr-1"></i> Secret ballot: voters aren\'t shown</span>');
+            } else {
+                const votes = await storage.votes.getBySession(sessionId);
+                parts.push(votes.length
+                    ? votes.map(v => app.renderVoterChip(v, session)).join('')
+                    : '<span class="text-gray-400">No votes</span>');
+            }
+            el.querySelector('div').innerHTML = parts.join('');
+            el.dataset.loaded = 'true';
+            lucide.createIcons();
+        } catch (err) {
+            console.error('History detail error:', err);
+        }
     },
 
-    /* --- Utilities --- */
+    // A table of the tally engine's rounds: votes per option in each round, the options dropped after it
+    // struck through and the winners in bold
+    renderRounds: (results, session) => {
+        const { rounds, winners } = results;
+        const first = rounds[0].counts;
+        const keys = Object.keys(first).sort((a, b) => first[b] - first[a]);
+        const exhausted = rounds.some(r => r.exhausted);
+
+        const cell = (round, key) => {
+            if (!(key in round.counts)) return '<td class="px-3 py-1 text-center text-gray-300">–</td>';
+            const dropped = round.eliminated.includes(key);
+            return `<td class="px-3 py-1 text-center ${dropped ? 'line-through text-red-400' : ''}">${round.counts[key]}</td>`;
+        };
 
-    getActiveSession: () => {
-        const sessions = JSON.parse(localStorage.getItem(STORAGE_KEYS.SESSIONS) || '[]');
-        return sessions.find(s => s.isActive) || null;
+        return `
+            <div class="w-full mb-3">
+                <p class="text-gray-500 mb-2">${TALLY_METHOD_NOTES[results.method]}</p>
+                <table class="text-xs">
+                    <thead>
+                        <tr class="text-gray-400 uppercase tracking-wide">
+                            <th class="px-3 py-1 text-left font-semibold">Option</th>
+                            ${rounds.map((r, i) => `<th class="px-3 py-1 font-semibold">${rounds.length > 1 ? `Round ${i + 1}` : 'Votes'}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${keys.map(key => {
+                            const o = app.getOption(key, session);
+                            const won = winners.includes(key);
+                            return `
+                                <tr class="${won ? 'font-bold' : ''}">
+                                    <td class="px-3 py-1" style="color: ${o.color}">${won ? '<i data-lucide="trophy" class="inline w-3 h-3 mr-1"></i>' : ''}${escapeHtml(o.label)}</td>
+                                    ${rounds.map(r => cell(r, key)).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                        ${exhausted ? `
+                            <tr class="text-gray-400">
+                                <td class="px-3 py-1" title="Ballots with none of their choices left">Exhausted</td>
+                                ${rounds.map(r => `<td class="px-3 py-1 text-center">${r.exhausted}</td>`).join('')}
+                            </tr>` : ''}
+                    </tbody>
+                </table>
+            </div>
+        `;
     },
 
-    showToast: (message, type = 'info') => {
-        const container = document.getElementById('toast-container');
-        const el = document.createElement('div');
-        
-        let colors = type === 'success' ? 'bg-emerald-50 text-emerald-800 border-emerald-200' : 
-                     type === 'error' ? 'bg-red-50 text-red-800 border-red-200' : 
-                     'bg-indigo-50 text-indigo-800 border-indigo-200';
-                     
-        let icon = type === 'success' ? 'check-circle-2' : type === 'error' ? 'alert-circle' : 'bell';
+    /* --- Menu Options --- */
 
-        el.className = `flex items-center p-4 rounded-lg shadow-lg border backdrop-blur-sm bg-opacity-95 mb-3 animate-slide-down pointer-events-auto ${colors}`;
-        el.innerHTML = `
-            <i data-lucide="${icon}" class="w-5 h-5 mr-3"></i>
-            <span class="text-sm font-medium flex-1">${message}</span>
-            <button onclick="this.parentElement.remove()" class="ml-3 opacity-50 hover:opacity-100"><i data-lucide="x" class="w-4 h-4"></i></button>
+    // Retired or unknown keys still render, just in a neutral style. A poll's own options are
+    // shown as they were when it opened.
+    getOption: (key, session) => {
+        return (session && session.options || []).find(o => o.key === key) ||
+            app.options.find(o => o.key === key) ||
+            { key, label: key, color: '#6b7280', icon: 'circle-help', isActive: false };
+    },
+
+    // What a session's voters choose from; sessions from before polls offered the active menu
+    pollOptions: (session) => {
+        return session && session.options && session.options.length
+            ? session.options
+            : app.options.filter(o => o.isActive);
+    },
+
+    // A vote's choices, including votes from before polls that only have a type
+    ballotChoices: (vote) => (vote.choices && vote.choices.length ? vote.choices : [vote.type]),
+
+    // The option keys a vote counts towards: every choice in multiple-choice polls, otherwise the first
+    countedChoices: (vote, pollType) => (pollType === 'MULTIPLE' ? app.ballotChoices(vote) : [vote.type]),
+
+    countVotesByOption: (votes, pollType) => {
+        const counts = {};
+        votes.forEach(v => app.countedChoices(v, pollType).forEach(key => {
+            counts[key] = (counts[key] || 0) + 1;
+        }));
+        return counts;
+    },
+
+    renderPollHeading: (session) => {
+        const pollType = session.pollType || 'SINGLE';
+        document.getElementById('vote-question').textContent = session.question || 'Time to Choose!';
+        document.getElementById('vote-description').textContent = session.description || '';
+        document.getElementById('vote-description').classList.toggle('hidden', !session.description);
+        document.getElementById('vote-instructions').textContent = POLL_TYPE_INSTRUCTIONS[pollType];
+    },
+
+    renderVoteOptions: (session) => {
+        const grid = document.getElementById('vote-options-grid');
+        const options = app.pollOptions(session);
+        const pollType = session.pollType || 'SINGLE';
+        const picking = pollType !== 'SINGLE';
+
+        // Skip re-rendering on every poll so hover states don't flicker
+        const signature = JSON.stringify([session.id, pollType, options, app.draftChoices]);
+        if (grid.dataset.signature === signature) return;
+        grid.dataset.signature = signature;
+
+        // Big cards for a menu of two, smaller ones for longer polls
+        const compact = options.length > 2;
+        grid.className = compact
+            ? 'grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6 mt-4'
+            : 'grid grid-cols-1 md:grid-cols-2 gap-8 mt-4';
+
+        grid.innerHTML = options.map(o => {
+            const rank = app.draftChoices.indexOf(o.key) + 1;
+            const badge = pollType === 'RANKED' ? rank : '<i data-lucide="check" class="w-5 h-5"></i>';
+            return `
+            <button onclick="${picking ? `app.toggleChoice('${o.key}')` : `app.pickOption('${o.key}')`}" class="group relative ${compact ? 'h-48' : 'h-72'} rounded-3xl overflow-hidden shadow-2xl transition-all duration-500 hover:scale-[1.02] ${rank ? 'ring-4 ring-offset-2 ring-indigo-500' : ''}" style="background-color: ${o.color}">
+                <div class="absolute inset-0 bg-gradient-to-br from-white/10 to-black/40"></div>
+                <div class="absolute inset-0 bg-black/20 group-hover:bg-black/10 transition-colors"></div>
+                ${rank ? `<span class="absolute top-4 right-4 w-9 h-9 rounded-full bg-white text-indigo-600 font-black flex items-center justify-center shadow-lg">${badge}</span>` : ''}
+                <div class="relative h-full flex flex-col items-center justify-center text-white ${compact ? 'p-6' : 'p-8'}">
+                    <div class="bg-white/10 ${compact ? 'p-4 mb-4' : 'p-6 mb-6'} rounded-full backdrop-blur-sm shadow-xl group-hover:bg-white/20 transition-all">
+                        <i data-lucide="${o.icon}" class="${compact ? 'w-10 h-10' : 'w-16 h-16'}"></i>
+                    </div>
+                    <span class="${compact ? 'text-2xl' : 'text-4xl'} font-black tracking-tight mb-2 drop-shadow-lg uppercase">${escapeHtml(o.label)}</span>
+                </div>
+            </button>
         `;
+        }).join('');
 
-        container.appendChild(el);
+        const asking = app.draftChoices.length > 0 && app.modifiersOf(app.draftChoices[0]).length > 0;
+        document.getElementById('vote-submit').classList.toggle('hidden', !picking && !asking);
+        document.getElementById('vote-submit-count').textContent = {
+            SINGLE: '',
+            MULTIPLE: `${app.draftChoices.length} picked`,
+            RANKED: `${app.draftChoices.length} of ${options.length} ranked`
+        }[pollType];
+        app.renderVotePreferences(session);
         lucide.createIcons();
-        setTimeout(() => { if(el) el.remove(); }, 4000);
+    },
+
+    // Fields for what the first pick asks, prefilled from the vote being changed or the voter's usual
+    renderVotePreferences: (session) => {
+        const panel = document.getElementById('vote-preferences');
+        const fields = document.getElementById('vote-preferences-fields');
+        const key = app.draftChoices[0];
+        const modifiers = key ? app.modifiersOf(key) : [];
+        panel.classList.toggle('hidden', modifiers.length === 0);
+        if (modifiers.length === 0) {
+            delete fields.dataset.option;
+            return;
+        }
+        if (fields.dataset.option === key) return;
+
+        const changing = app.changingVote && app.myVote && app.myVote.type === key;
+        const values = changing ? app.myVote.preferences || {} : (app.user.preferences || {})[key] || {};
+        document.getElementById('vote-preferences-title').textContent = `How would you like your ${app.getOption(key, session).label}?`;
+        fields.innerHTML = app.renderPreferenceFields(modifiers, values);
+        fields.dataset.option = key;
+    },
+
+    // What a menu option asks along with a vote; only the server build asks anything
+    modifiersOf: (key) => {
+        const option = storage.features.preferences && app.options.find(o => o.key === key);
+        return (option && option.modifiers) || [];
+    },
+
+    // A dropdown per modifier with choices, a text box for the rest
+    renderPreferenceFields: (modifiers, values) => modifiers.map(m => `
+        <label class="flex flex-col gap-1 text-sm font-medium text-gray-600">
+            ${escapeHtml(m.label)}
+            ${m.choices.length ? `
+                <select data-modifier="${m.key}" class="px-3 py-2 rounded-lg border border-gray-200 bg-white/60 focus:bg-white focus:border-indigo-500 outline-none transition-colors text-sm">
+                    <option value="">No preference</option>
+                    ${m.choices.map(c => `<option value="${escapeHtml(c)}" ${values[m.key] === c ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}
+                </select>
+            ` : `
+                <input type="text" data-modifier="${m.key}" value="${escapeHtml(values[m.key] || '')}" maxlength="200" class="px-3 py-2 rounded-lg border border-gray-200 bg-white/60 focus:bg-white focus:border-indigo-500 outline-none transition-colors text-sm">
+            `}
+        </label>
+    `).join(''),
+
+    readPreferenceFields: (container) => {
+        const preferences = {};
+        container.querySelectorAll('[data-modifier]').forEach(field => {
+            if (field.value.trim()) preferences[field.dataset.modifier] = field.value.trim();
+        });
+        return preferences;
+    },
+
+    // e.g. "Size: Large · Milk: Oat"
+    describePreferences: (key, preferences) => {
+        const modifiers = app.modifiersOf(key);
+        return Object.entries(preferences || {})
+            .map(([name, value]) => `${(modifiers.find(m => m.key === name) || { label: name }).label}: ${value}`)
+            .join(' · ');
+    },
+
+    // The voted view leads with the (first) choice and lists the rest in order
+    renderVotedChoice: (choices, session, preferences) => {
+        const option = app.getOption(choices[0], session);
+        const labels = choices.map(key => app.getOption(key, session).label);
+        const text = document.getElementById('voted-selection-text');
+        const container = document.getElementById('voted-icon-container');
+        const ping = document.getElementById('voted-ping');
+
+        text.textContent = session.pollType === 'RANKED'
+            ? labels.map((label, i) => `${i + 1}. ${label}`).join('  ')
+            : labels.join(', ');
+        text.className = "px-4 py-1 rounded-full text-sm font-bold uppercase tracking-wider";
+        text.style.backgroundColor = `${option.color}1a`;
+        text.style.color = option.color;
+
+        const details = document.getElementById('voted-preferences');
+        details.textContent = app.describePreferences(choices[0], preferences);
+        details.classList.toggle('hidden', !details.textContent);
+
+        container.className = "relative p-10 rounded-full shadow-2xl";
+        container.style.background = `linear-gradient(135deg, ${option.color}1a, ${option.color}40)`;
+        ping.className = "absolute inset-0 rounded-full animate-ping opacity-20";
+        ping.style.backgroundColor = option.color;
+
+        // Lucide swaps <i> for <svg>, so replace the node to change the icon
+        document.getElementById('voted-icon').outerHTML =
+            `<i id="voted-icon" data-lucide="${option.icon}" class="w-20 h-20" style="color: ${option.color}"></i>`;
+    },
+
+    // Bars are each option's share of voters, so multiple-choice bars don't add up to 100%
+    renderLiveStats: (sessionVotes, session) => {
+        const container = document.getElementById('live-bars');
+        const counts = app.countVotesByOption(sessionVotes, session.pollType);
+        const total = sessionVotes.length;
+
+        const note = document.getElementById('live-poll');
+        note.textContent = [session.question, POLL_TYPE_NOTES[session.pollType]].filter(Boolean).join(' · ');
+        note.classList.toggle('hidden', !note.textContent);
+
+        // Options retired mid-session stay visible while they hold votes
+        const shown = session.options && session.options.length
+            ? session.options
+            : app.options.filter(o => o.isActive || counts[o.key]);
+
+        // Only rebuild the bars when the options change so height transitions still animate
+        const signature = shown.map(o => `${o.key}:${o.label}:${o.color}`).join('|');
+        if (container.dataset.signature !== signature) {
+            container.dataset.signature = signature;
+            container.innerHTML = shown.map(o => `
+                <div class="flex flex-col items-center w-24">
+                    <div id="live-count-${o.key.toLowerCase()}" class="text-2xl font-bold mb-2" style="color: ${o.color}">0</div>
+                    <div class="w-full bg-gray-100 rounded-t-lg relative h-24 overflow-hidden">
+                        <div id="live-bar-${o.key.toLowerCase()}" class="absolute bottom-0 w-full transition-all duration-500" style="height: 0%; background-color: ${o.color}"></div>
+                    </div>
+                    <div class="mt-2 text-xs font-bold text-gray-500 uppercase">${escapeHtml(o.label)}</div>
+                </div>
+            `).join('');
+        }
+
+        shown.forEach(o => {
+            const n = counts[o.key] || 0;
+            document.getElementById(`live-count-${o.key.toLowerCase()}`).textContent = n;
+            document.getElementById(`live-bar-${o.key.toLowerCase()}`).style.height = total > 0 ? `${(n/total)*100}%` : '0%';
+        });
+    },
+
+    renderOptionTotals: (totals) => {
+        const container = document.getElementById('option-totals');
+
+        const signature = app.options.map(o => `${o.key}:${o.label}:${o.color}:${o.icon}`).join('|');
+        if (container.dataset.signature !== signature) {
+            container.dataset.signature = signature;
+            container.innerHTML = app.options.map(o => `
+                <div class="glass-card p-6 rounded-2xl relative overflow-hidden group hover:shadow-lg transition-all flex-1">
+                    <div class="absolute right-0 top-0 w-24 h-24 rounded-bl-full -mr-4 -mt-4 transition-transform group-hover:scale-110" style="background-color: ${o.color}33"></div>
+                    <div class="relative z-10">
+                        <p class="text-sm font-semibold text-gray-500 uppercase tracking-wide">${escapeHtml(o.label)} Total</p>
+                        <h3 id="total-${o.key.toLowerCase()}" class="text-4xl font-bold text-gray-900 mt-2">0</h3>
+                        <i data-lucide="${o.icon}" class="absolute bottom-6 right-6 w-12 h-12" style="color: ${o.color}4d"></i>
+                    </div>
+                </div>
+            `).join('');
+            lucide.createIcons();
+        }
+
+        app.options.forEach(o => {
+            document.getElementById(`total-${o.key.toLowerCase()}`).textContent = totals[o.key] || 0;
+        });
+    },
+
+    // Update datasets in place so Chart.js animates changes instead of redrawing
+    updateChartDatasets: (labels, datasets) => {
+        const chart = app.chartInstance;
+        chart.data.labels = labels;
+        datasets.forEach((ds, i) => {
+            if (chart.data.datasets[i]) {
+                Object.assign(chart.data.datasets[i], ds);
+            } else {
+                chart.data.datasets.push(ds);
+            }
+        });
+        chart.data.datasets.length = datasets.length;
+        chart.update();
+    },
+
+    // In the poll's option order, then the menu's; deleted options show their key in gray
+    renderResultSummary: (counts, session) => {
+        const order = [...app.pollOptions(session), ...app.options].map(o => o.key);
+        const position = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+        const parts = Object.keys(counts)
+            .filter(key => counts[key])
+            .sort((a, b) => position(a) - position(b))
+            .map(key => app.getOption(key, session))
+            .map(o => `<span class="font-bold" style="color: ${o.color}">${counts[o.key]} ${escapeHtml(o.label)}</span>`);
+
+        return `
+            <div class="flex flex-wrap items-center gap-2 text-xs">
+                ${parts.length ? parts.join(' / ') : '<span class="text-gray-400">—</span>'}
+            </div>
+        `;
+    },
+
+    // Colored by the (first) choice; the tooltip lists every choice, in order for ranked polls
+    renderVoterChip: (vote, session) => {
+        const o = app.getOption(vote.type, session);
+        const title = app.ballotChoices(vote).map(key => app.getOption(key, session).label).join(session && session.pollType === 'RANKED' ? ' > ' : ', ');
+        return `
+            <span class="px-2 py-1 rounded border" style="background-color: ${o.color}1a; border-color: ${o.color}55; color: ${o.color}" title="${escapeHtml(title)}">
+                ${escapeHtml(vote.userName)}
+            </span>
+        `;
+    },
+
+    renderOptionsAdmin: () => {
+        const container = document.getElementById('options-list');
+        app.renderPollMenuOptions();
+
+        if (app.options.length === 0) {
+            container.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">No options yet. Add something to vote on!</p>';
+            return;
+        }
+
+        container.innerHTML = app.options.map(o => `
+            <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-gray-100 hover:bg-white/60 transition-colors ${o.isActive ? '' : 'opacity-50'}">
+                <div class="flex items-center gap-3 flex-1">
+                    <div class="w-8 h-8 rounded-full flex items-center justify-center" style="background-color: ${o.color}26">
+                        <i data-lucide="${o.icon}" class="w-4 h-4" style="color: ${o.color}"></i>
+                    </div>
+                    <div class="flex-1">
+                        <p class="text-sm font-medium text-gray-800">${escapeHtml(o.label)}</p>
+                        <p class="text-xs text-gray-400">${o.key}${o.isActive ? '' : ' · inactive'}${o.modifiers && o.modifiers.length ? ` · asks ${o.modifiers.map(m => escapeHtml(m.label)).join(', ')}` : ''}</p>
+                    </div>
+                </div>
+                <button onclick="app.editOption('${o.id}')" class="text-gray-500 hover:text-indigo-600 transition-colors p-2" title="Edit option">
+                    <i data-lucide="pencil" class="w-4 h-4"></i>
+                </button>
+                <button onclick="app.toggleOption('${o.id}')" class="text-gray-500 hover:text-amber-600 transition-colors p-2" title="${o.isActive ? 'Deactivate' : 'Activate'} option">
+                    <i data-lucide="${o.isActive ? 'eye-off' : 'eye'}" class="w-4 h-4"></i>
+                </button>
+                <button onclick="app.deleteOption('${o.id}')" class="text-red-500 hover:text-red-700 transition-colors p-2" title="Delete option">
+                    <i data-lucide="trash-2" class="w-4 h-4"></i>
+                </button>
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    },
+
+    editOption: (id) => {
+        const option = app.options.find(o => o.id === id);
+        if (!option) return;
+
+        app.editingOptionId = id;
+        document.getElementById('option-label').value = option.label;
+        document.getElementById('option-icon').value = option.icon;
+        document.getElementById('option-color').value = option.color;
+        app.fillRecipeForm(option.recipe);
+        document.getElementById('option-modifiers').value = (option.modifiers || [])
+            .map(m => (m.choices.length ? `${m.label}: ${m.choices.join(', ')}` : m.label))
+            .join('\n');
+        document.getElementById('option-save-label').textContent = 'Save';
+    },
+
+    resetOptionForm: () => {
+        app.editingOptionId = null;
+        document.getElementById('option-label').value = '';
+        document.getElementById('option-icon').value = '';
+        document.getElementById('option-color').value = '#6b7280';
+        app.fillRecipeForm(null);
+        document.getElementById('option-modifiers').value = '';
+        document.getElementById('option-save-label').textContent = 'Add';
+    },
+
+    fillRecipeForm: (recipe) => {
+        document.getElementById('option-prepared').checked = Boolean(recipe) || !app.editingOptionId;
+        document.getElementById('option-servings').value = recipe ? recipe.servingsPerVote : 1;
+        document.getElementById('option-serving-unit').value = recipe ? recipe.servingUnit : '';
+        document.getElementById('option-ingredients').value = recipe
+            ? recipe.ingredients.map(i => `${i.amount}${i.unit ? ` ${i.unit}` : ''} ${i.name}`).join('\n')
+            : '';
+    },
+
+    // The recipe form as { recipe } (null when the option isn't prepared), or { error } naming a line it can't read.
+    // Ingredient lines are "amount [unit] name", e.g. "15 g Coffee beans" or "1 Tea bag".
+    recipeSettings: () => {
+        if (!document.getElementById('option-prepared').checked) return { recipe: null };
+
+        const ingredients = [];
+        const lines = document.getElementById('option-ingredients').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        for (const line of lines) {
+            const match = line.match(/^(\d+(?:[.,]\d+)?)\s*(kg|mg|g|ml|cl|dl|l|oz|lb|tsp|tbsp)?\s+(.+)$/i);
+            if (!match) return { error: `Couldn't read "${line}"; write ingredients like "15 g Coffee beans"` };
+            ingredients.push({ amount: Number(match[1].replace(',', '.')), unit: match[2] || '', name: match[3] });
+        }
+        return {
+            recipe: {
+                servingsPerVote: Number(document.getElementById('option-servings').value) || 0,
+                servingUnit: document.getElementById('option-serving-unit').value.trim() || 'cup',
+                ingredients
+            }
+        };
+    },
+
+    loadOptions: async () => {
+        app.options = await storage.options.getAll();
+    },
+
+    refreshOptions: async () => {
+        await app.loadOptions();
+        app.renderOptionsAdmin();
+        app.renderHistory();
+        app.renderChart();
+    },
+
+    saveOption: async () => {
+        const label = document.getElementById('option-label').value.trim();
+        const icon = document.getElementById('option-icon').value.trim() || 'coffee';
+        const color = document.getElementById('option-color').value;
+
+        if (!label) {
+            app.showToast('Please enter an option label', 'error');
+            return;
+        }
+        const data = { label, icon, color };
+        if (storage.features.prep) {
+            const { recipe, error } = app.recipeSettings();
+            if (error) {
+                app.showToast(error, 'error');
+                return;
+            }
+            data.recipe = recipe;
+        }
+        if (storage.features.preferences) {
+            // "Milk: None, Dairy, Oat" offers choices; a line without a colon asks for free text
+            data.modifiers = document.getElementById('option-modifiers').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => {
+                    const [label, choices = ''] = line.split(/:(.*)/);
+                    return { label: label.trim(), choices: choices.split(',').map(c => c.trim()).filter(Boolean) };
+                });
+        }
+
+        try {
+            if (app.editingOptionId) {
+                await storage.options.update(app.editingOptionId, data);
+                app.showToast(`Updated ${label}`, 'success');
+            } else {
+                await storage.options.create(data);
+                app.showToast(`Added ${label} to the menu`, 'success');
+            }
+            app.resetOptionForm();
+            await app.refreshOptions();
+        } catch (err) {
+            console.error('Save option error:', err);
+            app.showError(err);
+        }
+    },
+
+    toggleOption: async (id) => {
+        const option = app.options.find(o => o.id === id);
+        if (!option) return;
+
+        try {
+            await storage.options.update(id, { isActive: !option.isActive });
+            await app.refreshOptions();
+        } catch (err) {
+            console.error('Toggle option error:', err);
+            app.showError(err);
+        }
+    },
+
+    deleteOption: async (id) => {
+        const option = app.options.find(o => o.id === id);
+        if (!option || !confirm(`Remove ${option.label} from the menu?`)) return;
+
+        try {
+            await storage.options.remove(id);
+            await app.refreshOptions();
+        } catch (err) {
+            console.error('Delete option error:', err);
+            app.showError(err);
+        }
+    },
+
+    /* --- Employee Roster --- */
+
+    // Backends without roster management still list employees, to issue setup codes
+    renderRoster: async () => {
+        if (!storage.features.roster && !storage.features.setupCodes) return;
+        try {
+            app.users = await storage.users.getAll();
+            app.renderRosterList();
+        } catch (err) {
+            console.error('Roster render error:', err);
+        }
+    },
+
+    renderRosterList: () => {
+        const employees = app.users.filter(u => u.role === 'EMPLOYEE');
+        const active = employees.filter(u => u.isActive !== false).length;
+        document.getElementById('roster-count').textContent = active === employees.length
+            ? `${employees.length}`
+            : `${active} active of ${employees.length}`;
+
+        const search = document.getElementById('roster-search').value.trim().toLowerCase();
+        const shown = employees
+            .filter(u => !search || `${u.name} ${u.employeeId}`.toLowerCase().includes(search))
+            .sort((a, b) => (a.isActive === false) - (b.isActive === false) || (a.name || '').localeCompare(b.name || ''));
+
+        const list = document.getElementById('roster-list');
+        if (shown.length === 0) {
+            list.innerHTML = `<p class="text-center text-gray-400 text-sm py-4">${employees.length ? 'Nobody matches.' : 'No employees yet. Add them here or import a roster.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = shown.map(u => `
+            <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-cyan-100/50 hover:bg-white/60 transition-colors ${u.isActive === false ? 'opacity-50' : ''}">
+                <div class="flex-1">
+                    <p class="text-sm font-medium text-gray-800">${escapeHtml(u.name)}</p>
+                    <p class="text-xs text-gray-400"><span class="font-mono">${escapeHtml(u.employeeId)}</span>${u.isActive === false ? ` · Deactivated ${new Date(u.deactivatedAt).toLocaleDateString()}` : ''}</p>
+                </div>
+                ${storage.features.setupCodes && u.isActive !== false ? `
+                <button onclick="app.issueSetupCode('${u.id}')" class="text-gray-500 hover:text-amber-600 transition-colors p-2" title="Issue a setup code">
+                    <i data-lucide="key-round" class="w-4 h-4"></i>
+                </button>` : ''}
+                ${storage.features.roster ? `
+                <button onclick="app.editRosterUser('${u.id}')" class="text-gray-500 hover:text-indigo-600 transition-colors p-2" title="Edit employee">
+                    <i data-lucide="pencil" class="w-4 h-4"></i>
+                </button>
+                <button onclick="app.mergeRosterUser('${u.id}')" class="text-gray-500 hover:text-cyan-600 transition-colors p-2" title="Merge into another employee">
+                    <i data-lucide="git-merge" class="w-4 h-4"></i>
+                </button>
+                <button onclick="app.toggleRosterUser('${u.id}')" class="text-gray-500 hover:text-red-600 transition-colors p-2" title="${u.isActive === false ? 'Reactivate' : 'Deactivate'} employee">
+                    <i data-lucide="${u.isActive === false ? 'user-check' : 'user-x'}" class="w-4 h-4"></i>
+                </button>` : ''}
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    },
+
+    // The pending list is built from the same users, so it's refreshed along with the roster
+    refreshRoster: async () => {
+        await app.renderRoster();
+        app.updateAdminUI();
+    },
+
+    editRosterUser: (id) => {
+        const user = app.users.find(u => u.id === id);
+        if (!user) return;
+
+        app.editingUserId = id;
+        document.getElementById('roster-employee-id').value = user.employeeId;
+        document.getElementById('roster-name').value = user.name;
+        document.getElementById('roster-save-label').textContent = 'Save';
+    },
+
+    resetRosterForm: () => {
+        app.editingUserId = null;
+        document.getElementById('roster-employee-id').value = '';
+        document.getElementById('roster-name').value = '';
+        document.getElementById('roster-save-label').textContent = 'Add';
+    },
+
+    saveRosterUser: async () => {
+        const employeeId = document.getElementById('roster-employee-id').value.trim();
+        const name = document.getElementById('roster-name').value.trim();
+
+        if (!employeeId || !name) {
+            app.showToast('Please enter an employee ID and name', 'error');
+            return;
+        }
+
+        try {
+            if (app.editingUserId) {
+                await storage.users.update(app.editingUserId, { employeeId, name });
+                app.showToast(`Updated ${name}`, 'success');
+            } else {
+                await storage.users.create({ employeeId, name });
+                app.showToast(`Added ${name}`, 'success');
+            }
+            app.resetRosterForm();
+            await app.refreshRoster();
+        } catch (err) {
+            console.error('Save employee error:', err);
+            app.showError(err);
+        }
+    },
+
+    toggleRosterUser: async (id) => {
+        const user = app.users.find(u => u.id === id);
+        if (!user) return;
+        const deactivating = user.isActive !== false;
+        if (deactivating && !confirm(`Deactivate ${user.name}? They can't log in anymore, but their votes are kept.`)) return;
+
+        try {
+            await storage.users.update(id, { isActive: !deactivating });
+            await app.refreshRoster();
+        } catch (err) {
+            console.error('Toggle employee error:', err);
+            app.showError(err);
+        }
+    },
+
+    // The code is only shown here; the employee logs in with it and the new password they pick
+    issueSetupCode: async (id) => {
+        const user = app.users.find(u => u.id === id);
+        if (!user) return;
+        if (!confirm(`Issue a setup code for ${user.name}? Logging in with it sets a new password, replacing any they have.`)) return;
+
+        try {
+            const { code, expiresAt } = await storage.users.issueSetupCode(id);
+            prompt(`Setup code for ${user.name} (${user.employeeId}), valid until ${new Date(expiresAt).toLocaleString()}. It won't be shown again:`, code);
+        } catch (err) {
+            console.error('Setup code error:', err);
+            app.showError(err);
+        }
+    },
+
+    // Folds a duplicate (a typo, a second registration) into the account to keep
+    mergeRosterUser: async (id) => {
+        const user = app.users.find(u => u.id === id);
+        if (!user) return;
+        const targetId = prompt(`Merge ${user.name} (${user.employeeId}) into which employee ID? Their votes move there and ${user.employeeId} is deleted.`);
+        if (!targetId) return;
+
+        const target = app.users.find(u => u.role === 'EMPLOYEE' && u.employeeId === targetId.trim() && u.id !== id);
+        if (!target) {
+            app.showToast(`No other employee has the ID ${targetId.trim()}`, 'error');
+            return;
+        }
+
+        try {
+            const { moved, dropped } = await storage.users.merge(id, target.id);
+            app.showToast(`Merged into ${target.name}: ${moved} vote(s) moved${dropped ? `, ${dropped} duplicate(s) dropped` : ''}`, 'success');
+            await app.refreshRoster();
+            app.renderHistory();
+        } catch (err) {
+            console.error('Merge employee error:', err);
+            app.showError(err);
+        }
+    },
+
+    loadRosterFile: async (file) => {
+        if (!file) return;
+        app.pendingRoster = await file.text();
+        app.previewRosterImport();
+    },
+
+    rosterImportOptions: () => ({ deactivateMissing: document.getElementById('roster-deactivate-missing').checked }),
+
+    // Dry run of the loaded CSV, so the admin sees who would be added or deactivated
+    previewRosterImport: async () => {
+        if (!app.pendingRoster) return;
+        try {
+            const report = await storage.users.importRoster(app.pendingRoster, { ...app.rosterImportOptions(), dryRun: true });
+            app.renderRosterReport(report);
+            const changes = report.created.length + report.renamed.length + report.reactivated.length + report.deactivated.length;
+            document.getElementById('roster-import-btn').classList.toggle('hidden', report.errors.length > 0 || changes === 0);
+        } catch (err) {
+            console.error('Roster preview error:', err);
+            document.getElementById('roster-preview').classList.add('hidden');
+            app.showError(err);
+        }
+    },
+
+    renderRosterReport: (report) => {
+        // Long lists are cut short; the counts are what matter
+        const ids = (list) => list.slice(0, 5).map(escapeHtml).join(', ') + (list.length > 5 ? `, +${list.length - 5} more` : '');
+        const rows = [
+            ['Added', report.created, 'text-emerald-600'],
+            ['Renamed', report.renamed, 'text-indigo-600'],
+            ['Reactivated', report.reactivated, 'text-emerald-600'],
+            ['Deactivated', report.deactivated, 'text-red-600']
+        ].filter(([, list]) => list.length).map(([label, list, color]) => `
+            <tr>
+                <td class="py-1 pr-4 font-medium text-gray-700 align-top">${label}</td>
+                <td class="py-1 pr-4 text-right align-top ${color}">${list.length}</td>
+                <td class="py-1 text-xs text-gray-400 font-mono">${ids(list)}</td>
+            </tr>
+        `).join('');
+        const errors = report.errors.map(e => `<li class="text-red-600">${escapeHtml(e)}</li>`).join('');
+
+        document.getElementById('roster-report').innerHTML = `
+            <table class="w-full">${rows}</table>
+            <p class="text-xs text-gray-400 mt-1">${report.unchanged} unchanged</p>
+            ${errors ? `<ul class="mt-2 text-xs space-y-1">${errors}</ul>` : ''}
+        `;
+        document.getElementById('roster-preview').classList.remove('hidden');
+    },
+
+    applyRosterImport: async () => {
+        if (!app.pendingRoster) return;
+        const options = app.rosterImportOptions();
+        if (options.deactivateMissing && !confirm('Import the roster and deactivate every employee it doesn\'t list?')) return;
+
+        try {
+            const report = await storage.users.importRoster(app.pendingRoster, options);
+            app.pendingRoster = null;
+            document.getElementById('roster-file').value = '';
+            document.getElementById('roster-preview').classList.add('hidden');
+            app.showToast(`Roster imported: ${report.created.length} added, ${report.deactivated.length} deactivated`, 'success');
+            await app.refreshRoster();
+        } catch (err) {
+            console.error('Roster import error:', err);
+            app.showError(err);
+        }
+    },
+
+    /* --- Schedules --- */
+
+    renderSchedules: async () => {
+        if (!storage.features.schedules) return;
+        try {
+            const [schedules, upcoming] = await Promise.all([
+                storage.schedules.getAll(),
+                storage.schedules.upcoming(8)
+            ]);
+            app.schedules = schedules;
+
+            const list = document.getElementById('schedules-list');
+            if (schedules.length === 0) {
+                list.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">No schedules yet. Sessions only start by hand.</p>';
+            } else {
+                list.innerHTML = schedules.map(sc => `
+                    <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-sky-100/50 hover:bg-white/60 transition-colors ${sc.isActive ? '' : 'opacity-50'}">
+                        <div class="flex-1">
+                            <p class="text-sm font-medium text-gray-800">${sc.name}</p>
+                            <p class="text-xs text-gray-400">
+                                <span class="font-mono">${sc.rule}</span> · ${sc.timezone} · ${sc.durationMinutes}m${sc.skipDates.length ? ` · ${sc.skipDates.length} skipped` : ''}
+                            </p>
+                        </div>
+                        <button onclick="app.editSchedule('${sc.id}')" class="text-gray-500 hover:text-indigo-600 transition-colors p-2" title="Edit schedule">
+                            <i data-lucide="pencil" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="app.toggleSchedule('${sc.id}')" class="text-gray-500 hover:text-sky-600 transition-colors p-2" title="${sc.isActive ? 'Pause' : 'Resume'} schedule">
+                            <i data-lucide="${sc.isActive ? 'pause' : 'play'}" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="app.deleteSchedule('${sc.id}')" class="text-red-500 hover:text-red-700 transition-colors p-2" title="Delete schedule">
+                            <i data-lucide="trash-2" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                `).join('');
+            }
+
+            const runs = document.getElementById('upcoming-runs-list');
+            if (upcoming.length === 0) {
+                runs.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">Nothing scheduled.</p>';
+            } else {
+                runs.innerHTML = upcoming.map(run => {
+                    const at = new Date(run.runAt);
+                    return `
+                        <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-gray-100 ${run.skipped ? 'opacity-50' : ''}">
+                            <div>
+                                <p class="text-sm font-medium text-gray-800 ${run.skipped ? 'line-through' : ''}">${at.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} <span class="text-gray-400 text-xs">${at.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span></p>
+                                <p class="text-xs text-gray-400">${run.name}</p>
+                            </div>
+                            ${run.skipped ? '<span class="text-xs font-bold text-gray-400 uppercase">Skipped</span>' : ''}
+                        </div>
+                    `;
+                }).join('');
+            }
+
+            lucide.createIcons();
+        } catch (err) {
+            console.error('Schedules render error:', err);
+        }
+    },
+
+    saveSchedule: async () => {
+        const data = {
+            name: document.getElementById('schedule-name').value.trim(),
+            rule: document.getElementById('schedule-rule').value.trim(),
+            timezone: document.getElementById('schedule-timezone').value.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            durationMinutes: Number(document.getElementById('schedule-duration').value),
+            skipDates: document.getElementById('schedule-skip-dates').value.split(/[\s,]+/).filter(Boolean)
+        };
+
+        if (!data.name || !data.rule) {
+            app.showToast('Please enter a schedule name and rule', 'error');
+            return;
+        }
+
+        try {
+            if (app.editingScheduleId) {
+                await storage.schedules.update(app.editingScheduleId, data);
+                app.showToast(`Updated ${data.name}`, 'success');
+            } else {
+                await storage.schedules.create(data);
+                app.showToast(`Scheduled ${data.name}`, 'success');
+            }
+            app.resetScheduleForm();
+            app.renderSchedules();
+        } catch (err) {
+            console.error('Save schedule error:', err);
+            app.showError(err);
+        }
+    },
+
+    editSchedule: (id) => {
+        const schedule = app.schedules.find(sc => sc.id === id);
+        if (!schedule) return;
+
+        app.editingScheduleId = id;
+        document.getElementById('schedule-name').value = schedule.name;
+        document.getElementById('schedule-rule').value = schedule.rule;
+        document.getElementById('schedule-timezone').value = schedule.timezone;
+        document.getElementById('schedule-duration').value = schedule.durationMinutes;
+        document.getElementById('schedule-skip-dates').value = schedule.skipDates.join(', ');
+        document.getElementById('schedule-save-label').textContent = 'Save Schedule';
+    },
+
+    resetScheduleForm: () => {
+        app.editingScheduleId = null;
+        ['schedule-name', 'schedule-rule', 'schedule-timezone', 'schedule-skip-dates'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('schedule-duration').value = 10;
+        document.getElementById('schedule-save-label').textContent = 'Add Schedule';
+    },
+
+    toggleSchedule: async (id) => {
+        const schedule = app.schedules.find(sc => sc.id === id);
+        if (!schedule) return;
+
+        try {
+            await storage.schedules.update(id, { isActive: !schedule.isActive });
+            app.renderSchedules();
+        } catch (err) {
+            console.error('Toggle schedule error:', err);
+            app.showError(err);
+        }
+    },
+
+    deleteSchedule: async (id) => {
+        const schedule = app.schedules.find(sc => sc.id === id);
+        if (!schedule || !confirm(`Delete the "${schedule.name}" schedule?`)) return;
+
+        try {
+            await storage.schedules.remove(id);
+            app.renderSchedules();
+        } catch (err) {
+            console.error('Delete schedule error:', err);
+            app.showError(err);
+        }
+    },
+
+    /* --- Chat Webhooks --- */
+
+    renderWebhooks: async () => {
+        if (!storage.features.webhooks) return;
+        try {
+            const [webhooks, deliveries] = await Promise.all([
+                storage.webhooks.getAll(),
+                storage.webhooks.deliveries(20)
+            ]);
+            app.webhooks = webhooks;
+
+            const formatNames = { SLACK: 'Slack', TEAMS: 'Teams', GOOGLE_CHAT: 'Google Chat' };
+            const list = document.getElementById('webhooks-list');
+            if (webhooks.length === 0) {
+                list.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">No webhooks yet. Add one to post polls to a chat channel.</p>';
+            } else {
+                list.innerHTML = webhooks.map(w => `
+                    <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-teal-100/50 hover:bg-white/60 transition-colors ${w.isActive ? '' : 'opacity-50'}">
+                        <div class="flex-1 min-w-0">
+                            <p class="text-sm font-medium text-gray-800">${w.name}</p>
+                            <p class="text-xs text-gray-400 truncate">${formatNames[w.format]} · ${w.url}</p>
+                        </div>
+                        <button onclick="app.testWebhook('${w.id}')" class="text-gray-500 hover:text-teal-600 transition-colors p-2" title="Send test message">
+                            <i data-lucide="send" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="app.rotateWebhookSecret('${w.id}')" class="text-gray-500 hover:text-indigo-600 transition-colors p-2" title="New signing secret">
+                            <i data-lucide="key-round" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="app.toggleWebhook('${w.id}')" class="text-gray-500 hover:text-teal-600 transition-colors p-2" title="${w.isActive ? 'Pause' : 'Resume'} webhook">
+                            <i data-lucide="${w.isActive ? 'pause' : 'play'}" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="app.deleteWebhook('${w.id}')" class="text-red-500 hover:text-red-700 transition-colors p-2" title="Delete webhook">
+                            <i data-lucide="trash-2" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                `).join('');
+            }
+
+            const statusStyles = {
+                PENDING: 'text-amber-600',
+                SENT: 'text-emerald-600',
+                FAILED: 'text-red-600',
+                EXPIRED: 'text-gray-400'
+            };
+            const log = document.getElementById('webhook-deliveries-list');
+            if (deliveries.length === 0) {
+                log.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">Nothing sent yet.</p>';
+            } else {
+                log.innerHTML = deliveries.map(d => `
+                    <div class="p-3 bg-white/40 rounded-lg border border-gray-100" title="${d.lastError || ''}">
+                        <div class="flex items-center justify-between">
+                            <p class="text-sm font-medium text-gray-800">${d.webhookName} <span class="text-gray-400 text-xs font-mono">${d.event}</span></p>
+                            <span class="text-xs font-bold uppercase ${statusStyles[d.status]}">${d.status}</span>
+                        </div>
+                        <p class="text-xs text-gray-400">
+                            ${new Date(d.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                            · ${d.attempts} attempt(s)${d.responseStatus ? ` · HTTP ${d.responseStatus}` : ''}
+                            ${d.lastError ? `<span class="block text-red-400 truncate">${d.lastError}</span>` : ''}
+                        </p>
+                    </div>
+                `).join('');
+            }
+
+            lucide.createIcons();
+        } catch (err) {
+            console.error('Webhooks render error:', err);
+        }
+    },
+
+    renderSheets: async () => {
+        if (!storage.features.sheets) return;
+        try {
+            const { settings, account, clientError, jobs } = await storage.sheets.get(10);
+
+            document.getElementById('sheets-account').innerHTML = account
+                ? `Share the spreadsheet with <span class="font-mono text-gray-700">${account}</span> as an editor.`
+                : `<span class="text-red-500">No Google credentials${clientError ? `: ${clientError}` : ''}</span>`;
+
+            // Don't overwrite what the admin is typing on a log refresh
+            if (!app.sheetSettingsLoaded) {
+                app.sheetSettingsLoaded = true;
+                document.getElementById('sheets-spreadsheet').value = settings ? settings.spreadsheetId : '';
+                document.getElementById('sheets-sessions-tab').value = settings ? settings.sessionsTab : '';
+                document.getElementById('sheets-votes-tab').value = (settings && settings.votesTab) || '';
+                document.getElementById('sheets-timezone').value = settings ? settings.timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+                document.getElementById('sheets-active').checked = settings ? settings.isActive : true;
+            }
+
+            const statusStyles = {
+                PENDING: 'text-amber-600',
+                SENT: 'text-emerald-600',
+                FAILED: 'text-red-600',
+                EXPIRED: 'text-gray-400'
+            };
+            const log = document.getElementById('sheets-jobs-list');
+            if (jobs.length === 0) {
+                log.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">Nothing synced yet.</p>';
+            } else {
+                log.innerHTML = jobs.map(j => `
+                    <div class="p-3 bg-white/40 rounded-lg border border-gray-100" title="${j.lastError || ''}">
+                        <div class="flex items-center justify-between">
+                            <p class="text-sm font-medium text-gray-800">Session <span class="text-gray-400 text-xs font-mono">${j.sessionId.slice(0, 8)}</span></p>
+                            <span class="flex items-center gap-2">
+                                ${j.status === 'FAILED' ? `
+                                <button onclick="app.syncSessionToSheets('${j.sessionId}')" class="text-gray-400 hover:text-green-600 transition-colors" title="Try again">
+                                    <i data-lucide="rotate-cw" class="w-3.5 h-3.5"></i>
+                                </button>` : ''}
+                                <span class="text-xs font-bold uppercase ${statusStyles[j.status]}">${j.status}</span>
+                            </span>
+                        </div>
+                        <p class="text-xs text-gray-400">
+                            ${new Date(j.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                            · ${j.attempts} attempt(s)${j.rowCount ? ` · ${j.rowCount} row(s)` : ''}
+                            ${j.lastError ? `<span class="block text-red-400 truncate">${j.lastError}</span>` : ''}
+                        </p>
+                    </div>
+                `).join('');
+            }
+
+            lucide.createIcons();
+        } catch (err) {
+            console.error('Sheets render error:', err);
+        }
+    },
+
+    saveSheetSettings: async (e) => {
+        e.preventDefault();
+        const data = {
+            spreadsheetId: document.getElementById('sheets-spreadsheet').value.trim(),
+            sessionsTab: document.getElementById('sheets-sessions-tab').value.trim(),
+            votesTab: document.getElementById('sheets-votes-tab').value.trim(),
+            timezone: document.getElementById('sheets-timezone').value.trim() || undefined,
+            isActive: document.getElementById('sheets-active').checked
+        };
+
+        if (!data.spreadsheetId) {
+            app.showToast('Please enter the spreadsheet URL or ID', 'error');
+            return;
+        }
+
+        try {
+            const { title } = await storage.sheets.save(data);
+            app.sheetSettingsLoaded = false;
+            app.showToast(title ? `Syncing to "${title}"` : 'Google Sheets sync turned off', 'success');
+            app.renderSheets();
+        } catch (err) {
+            console.error('Save sheet settings error:', err);
+            app.showError(err);
+        }
+    },
+
+    syncSessionToSheets: async (sessionId) => {
+        try {
+            await storage.sheets.syncSession(sessionId);
+            app.showToast('Session queued for Google Sheets', 'info');
+            setTimeout(app.renderSheets, 2000);
+        } catch (err) {
+            console.error('Sheets sync error:', err);
+            app.showError(err);
+        }
+    },
+
+    /* --- Backup & Restore --- */
+
+    downloadBackup: async () => {
+        try {
+            const archive = await storage.backup.create();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' }));
+            link.download = `brewvote-backup-${archive.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (err) {
+            console.error('Backup error:', err);
+            app.showError(err);
+        }
+    },
+
+    loadBackupFile: async (file) => {
+        if (!file) return;
+        try {
+            app.pendingBackup = JSON.parse(await file.text());
+        } catch (err) {
+            app.showToast('That file is not valid JSON', 'error');
+            return;
+        }
+        app.previewRestore();
+    },
+
+    // The original localStorage build kept everything under brewvote_* keys in this browser
+    hasLegacyData: () => storage.name !== 'local'
+        && ['users', 'sessions', 'votes'].some(table => JSON.parse(localStorage.getItem(STORAGE_KEYS[table]) || '[]').length > 0),
+
+    loadLegacyBackup: async () => {
+        try {
+            app.pendingBackup = await LocalStorageAdapter().backup.create();
+            document.getElementById('backup-file').value = '';
+            app.previewRestore();
+        } catch (err) {
+            console.error('Legacy data error:', err);
+            app.showError(err);
+        }
+    },
+
+    // Dry run of the loaded backup, so the admin sees what a restore would change
+    previewRestore: async () => {
+        if (!app.pendingBackup) return;
+        const mode = document.getElementById('backup-mode').value;
+        try {
+            const report = await storage.backup.restore(app.pendingBackup, { mode, dryRun: true });
+            app.renderRestoreReport(report);
+            document.getElementById('backup-restore-btn').classList.toggle('hidden', report.errors.length > 0);
+        } catch (err) {
+            console.error('Restore preview error:', err);
+            document.getElementById('backup-preview').classList.add('hidden');
+            app.showError(err);
+        }
+    },
+
+    renderRestoreReport: (report) => {
+        const rows = Object.entries(report.tables).map(([table, t]) => `
+            <tr>
+                <td class="py-1 pr-4 font-medium text-gray-700">${escapeHtml(table)}</td>
+                <td class="py-1 pr-4 text-right text-emerald-600">+${t.created}</td>
+                <td class="py-1 pr-4 text-right text-gray-400">${t.skipped} kept</td>
+                <td class="py-1 text-right ${t.deleted ? 'text-red-600' : 'text-gray-300'}">−${t.deleted}</td>
+            </tr>
+        `).join('');
+        const notes = [
+            ...report.errors.map(e => `<li class="text-red-600">${escapeHtml(e)}</li>`),
+            ...report.warnings.map(w => `<li class="text-amber-600">${escapeHtml(w)}</li>`)
+        ].join('');
+
+        document.getElementById('backup-report').innerHTML = `
+            <table class="w-full">${rows}</table>
+            ${notes ? `<ul class="mt-2 text-xs space-y-1">${notes}</ul>` : ''}
+        `;
+        document.getElementById('backup-preview').classList.remove('hidden');
+        lucide.createIcons();
+    },
+
+    applyRestore: async () => {
+        const mode = document.getElementById('backup-mode').value;
+        const warning = mode === 'replace'
+            ? 'Replace all voting data with this backup? Everything not in it is deleted, except your own account and the vote audit trail.'
+            : 'Add the missing records from this backup?';
+        if (!app.pendingBackup || !confirm(warning)) return;
+
+        try {
+            await storage.backup.restore(app.pendingBackup, { mode });
+            app.pendingBackup = null;
+            document.getElementById('backup-file').value = '';
+            document.getElementById('backup-preview').classList.add('hidden');
+            app.showToast('Backup restored', 'success');
+
+            await app.loadOptions();
+            app.renderOptionsAdmin();
+            app.renderRoster();
+            app.renderSubscribers();
+            app.renderSchedules();
+            app.updateAdminUI();
+            app.renderHistory();
+            app.renderChart();
+        } catch (err) {
+            console.error('Restore error:', err);
+            app.showError(err);
+        }
+    },
+
+    // The signing secret is only returned once, so show it to the admin straight away
+    showWebhookSecret: (webhook) => {
+        prompt(`Signing secret for "${webhook.name}". Copy it now, it won't be shown again:`, webhook.secret);
+    },
+
+    addWebhook: async () => {
+        const data = {
+            name: document.getElementById('webhook-name').value.trim(),
+            url: document.getElementById('webhook-url').value.trim(),
+            format: document.getElementById('webhook-format').value
+        };
+
+        if (!data.name || !data.url) {
+            app.showToast('Please enter a webhook name and URL', 'error');
+            return;
+        }
+
+        try {
+            const webhook = await storage.webhooks.create(data);
+            document.getElementById('webhook-name').value = '';
+            document.getElementById('webhook-url').value = '';
+            app.showWebhookSecret(webhook);
+            app.showToast(`Added ${data.name}`, 'success');
+            app.renderWebhooks();
+        } catch (err) {
+            console.error('Add webhook error:', err);
+            app.showError(err);
+        }
+    },
+
+    testWebhook: async (id) => {
+        try {
+            await storage.webhooks.test(id);
+            app.showToast('Test message queued; check the delivery log', 'info');
+            // Give the first attempt a moment before refreshing the log
+            setTimeout(app.renderWebhooks, 2000);
+        } catch (err) {
+            console.error('Test webhook error:', err);
+            app.showError(err);
+        }
+    },
+
+    rotateWebhookSecret: async (id) => {
+        const webhook = app.webhooks.find(w => w.id === id);
+        if (!webhook || !confirm(`Replace the signing secret for "${webhook.name}"? Receivers checking the old one will reject posts until updated.`)) return;
+
+        try {
+            app.showWebhookSecret(await storage.webhooks.rotateSecret(id));
+        } catch (err) {
+            console.error('Rotate webhook secret error:', err);
+            app.showError(err);
+        }
+    },
+
+    toggleWebhook: async (id) => {
+        const webhook = app.webhooks.find(w => w.id === id);
+        if (!webhook) return;
+
+        try {
+            await storage.webhooks.update(id, { isActive: !webhook.isActive });
+            app.renderWebhooks();
+        } catch (err) {
+            console.error('Toggle webhook error:', err);
+            app.showError(err);
+        }
+    },
+
+    deleteWebhook: async (id) => {
+        const webhook = app.webhooks.find(w => w.id === id);
+        if (!webhook || !confirm(`Delete the "${webhook.name}" webhook?`)) return;
+
+        try {
+            await storage.webhooks.remove(id);
+            app.renderWebhooks();
+        } catch (err) {
+            console.error('Delete webhook error:', err);
+            app.showError(err);
+        }
+    },
+
+    /* --- Live Updates --- */
+
+    // Subscribes to the backend's live events, polling with fallbackPoll while there are none
+    connectEvents: (handlers, fallbackPoll, fallbackMs) => {
+        app.disconnectEvents();
+
+        const startPolling = () => {
+            if (!app.pollInterval) {
+                app.pollInterval = setInterval(fallbackPoll, fallbackMs);
+            }
+        };
+        if (!storage.subscribe) return startPolling();
+
+        app.unsubscribeEvents = storage.subscribe(handlers, {
+            onOpen: () => {
+                if (app.pollInterval) {
+                    clearInterval(app.pollInterval);
+                    app.pollInterval = null;
+                    fallbackPoll(); // Catch up on anything missed while disconnected
+                }
+            },
+            onError: startPolling
+        });
+    },
+
+    disconnectEvents: () => {
+        if (app.unsubscribeEvents) {
+            app.unsubscribeEvents();
+            app.unsubscribeEvents = null;
+        }
+        clearInterval(app.pollInterval);
+        app.pollInterval = null;
+    },
+
+    /* --- Utilities --- */
+
+    // Called by the storage adapter on 401/403; returns true if the user was told
+    onAuthError: (err) => {
+        if (err.status === 401 && !app.user) return false; // The login form shows its own error
+        app.showToast(err.message, 'error');
+        if (err.status === 401) app.logout();
+        return true;
+    },
+
+    // Auth failures were already toasted by onAuthError, so don't show them twice
+    showError: (err) => {
+        if (!err.notified) app.showToast(err.message, 'error');
+    },
+
+    showToast: (message, type = 'info') => {
+        const container = document.getElementById('toast-container');
+        const el = document.createElement('div');
+        
+        let colors = type === 'success' ? 'bg-emerald-50 text-emerald-800 border-emerald-200' : 
+                     type === 'error' ? 'bg-red-50 text-red-800 border-red-200' : 
+                     'bg-indigo-50 text-indigo-800 border-indigo-200';
+                     
+        let icon = type === 'success' ? 'check-circle-2' : type === 'error' ? 'alert-circle' : 'bell';
+
+        el.className = `flex items-center p-4 rounded-lg shadow-lg border backdrop-blur-sm bg-opacity-95 mb-3 animate-slide-down pointer-events-auto ${colors}`;
+        el.innerHTML = `
+            <i data-lucide="${icon}" class="w-5 h-5 mr-3"></i>
+            <span class="text-sm font-medium flex-1">${escapeHtml(message)}</span>
+            <button onclick="this.parentElement.remove()" class="ml-3 opacity-50 hover:opacity-100"><i data-lucide="x" class="w-4 h-4"></i></button>
+        `;
+
+        container.appendChild(el);
+        lucide.createIcons();
+        setTimeout(() => { if(el) el.remove(); }, 4000);
+    },
+
+    /* --- Notification System --- */
+
+    addNotificationSubscriber: async (email) => {
+        if (!email || !email.includes('@')) {
+            app.showToast('Please enter a valid email', 'error');
+            return;
+        }
+
+        try {
+            await storage.subscribers.add(email);
+            app.showToast(`✅ ${email} subscribed to notifications!`, 'success');
+            app.renderSubscribers();
+        } catch (err) {
+            console.error('Add subscriber error:', err);
+            app.showError(err);
+        }
+    },
+
+    removeNotificationSubscriber: async (id, email) => {
+        try {
+            await storage.subscribers.remove(id);
+            app.showToast(`Unsubscribed ${email}`, 'info');
+            app.renderSubscribers();
+        } catch (err) {
+            console.error('Remove subscriber error:', err);
+            app.showError(err);
+        }
+    },
+
+    notifySubscribers: async (message) => {
+        try {
+            const recipientCount = await storage.subscribers.notify(message);
+            if (recipientCount === 0) {
+                console.log('No subscribers to notify');
+                return;
+            }
+            console.log(`📧 Sending notification to ${recipientCount} subscribers:`, message);
+
+            // Show local notification
+            if (Notification.permission === 'granted') {
+                new Notification('Open Eyes Vote', {
+                    body: message,
+                    icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>'
+                });
+            }
+        } catch (err) {
+            console.error('Notify subscribers error:', err);
+        }
+    },
+
+    renderSubscribers: async () => {
+        if (!storage.features.subscribers) return;
+        try {
+            const container = document.getElementById('subscribers-list');
+            const subscribers = await storage.subscribers.getAll();
+
+            if (subscribers.length === 0) {
+                container.innerHTML = '<p class="text-center text-gray-400 text-sm py-4">No subscribers yet. Add your friend\'s email to notify them!</p>';
+                return;
+            }
+
+            container.innerHTML = subscribers.map(sub => `
+                <div class="flex items-center justify-between p-3 bg-white/40 rounded-lg border border-purple-100/50 hover:bg-white/60 transition-colors">
+                    <div class="flex items-center gap-3 flex-1">
+                        <div class="w-8 h-8 rounded-full bg-purple-100 flex items-center justify-center">
+                            <i data-lucide="mail" class="w-4 h-4 text-purple-600"></i>
+                        </div>
+                        <div class="flex-1">
+                            <p class="text-sm font-medium text-gray-800">${sub.email}</p>
+                            <p class="text-xs text-gray-400">Subscribed ${new Date(sub.subscribedAt).toLocaleDateString()}</p>
+                        </div>
+                    </div>
+                    <button onclick="app.removeNotificationSubscriber('${sub.id}', '${sub.email}')" class="text-red-500 hover:text-red-700 transition-colors p-2" title="Remove subscriber">
+                        <i data-lucide="trash-2" class="w-4 h-4"></i>
+                    </button>
+                </div>
+            `).join('');
+
+            lucide.createIcons();
+        } catch (err) {
+            console.error('Subscribers render error:', err);
+        }
     }
 };
 
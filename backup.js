@@ -0,0 +1,251 @@
+/**
+ * Open Eyes Vote - Backup and Restore
+ * The versioned JSON archive of the voting data; storage/documents.js reads and writes the same format
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_SESSION_MINUTES, User, Vote, VoteChange, Session, Option, Schedule, Subscriber } = require('./models');
+
+const BACKUP_FORMAT = 'brewvote-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Password hashes only carry over between backends that hash the same way
+const PASSWORD_SCHEME = 'scrypt';
+
+// Archive tables and their models, in the order they are restored
+const TABLES = {
+    users: User,
+    options: Option,
+    sessions: Session,
+    votes: Vote,
+    voteChanges: VoteChange,
+    subscribers: Subscriber,
+    schedules: Schedule
+};
+
+// Fields other than id that must be unique, as a function giving each document's value
+const UNIQUE_KEYS = {
+    users: (doc) => doc.employeeId,
+    options: (doc) => doc.key,
+    votes: (doc) => `${doc.sessionId}/${doc.userId}`,
+    subscribers: (doc) => doc.email
+};
+
+// Everything UNIQUE_KEYS reads, so existing records are loaded without their other fields
+const KEY_FIELDS = { _id: 0, id: 1, employeeId: 1, key: 1, sessionId: 1, userId: 1, email: 1 };
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Fields holding user ids, rewritten when an archived user turns out to exist here under another id
+const USER_REFERENCES = {
+    sessions: ['createdBy'],
+    votes: ['userId'],
+    voteChanges: ['userId'],
+    subscribers: ['addedBy'],
+    schedules: ['createdBy']
+};
+
+// ===== BACKUP =====
+
+const createBackup = async () => {
+    const data = {};
+    for (const [table, Model] of Object.entries(TABLES)) {
+        data[table] = await Model.find({}, { _id: 0, __v: 0 }).lean();
+    }
+    // Preferences on secret-ballot votes could be matched against the employees' saved ones.
+    // Ballots not sealed yet get a random stand-in for their voter, as sealing would give them.
+    const secret = new Set(data.sessions.filter(s => s.isAnonymous).map(s => s.id));
+    const unsealed = new Set(data.sessions.filter(s => s.isAnonymous && !s.ballotsSealedAt).map(s => s.id));
+    data.votes.forEach(vote => {
+        if (secret.has(vote.sessionId)) delete vote.preferences;
+        if (unsealed.has(vote.sessionId)) {
+            vote.userId = `sealed-${crypto.randomUUID()}`;
+            delete vote.userName;
+        }
+    });
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: 'server',
+        passwordScheme: PASSWORD_SCHEME,
+        data
+    };
+};
+
+// ===== RESTORE =====
+
+// Returns what's wrong with the archive's shape, or null
+const validateArchive = (archive) => {
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+        return `Not a backup file (expected format "${BACKUP_FORMAT}")`;
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+        return `Unsupported backup version ${archive.version}; this server reads up to version ${BACKUP_VERSION}`;
+    }
+    if (!archive.data || typeof archive.data !== 'object') {
+        return 'Backup has no data';
+    }
+    for (const [table, docs] of Object.entries(archive.data)) {
+        if (!Array.isArray(docs)) return `"${table}" must be a list`;
+        const ids = new Set();
+        for (const doc of docs) {
+            if (!doc || typeof doc.id !== 'string' || !doc.id) return `Every record in "${table}" needs an id`;
+            if (ids.has(doc.id)) return `"${table}" has id ${doc.id} twice`;
+            ids.add(doc.id);
+        }
+    }
+    return null;
+};
+
+// Fills in what older archives (such as the original localStorage data) lack
+const normalize = (table, doc, archive) => {
+    const copy = { ...doc };
+    delete copy._id;
+    delete copy.__v;
+
+    if (table === 'users' && archive.passwordScheme !== PASSWORD_SCHEME) {
+        // Employees need a setup code from an admin to set a new password
+        delete copy.passwordHash;
+        delete copy.setupCodeHash;
+        delete copy.setupCodeExpiresAt;
+    }
+    if (table === 'users' && !copy.createdAt) {
+        // Registered no later than their first vote, so exports still count them as eligible
+        const firstVote = (archive.data.votes || [])
+            .filter(v => v.userId === copy.id && v.timestamp)
+            .map(v => new Date(v.timestamp))
+            .sort((a, b) => a - b)[0];
+        if (firstVote) copy.createdAt = firstVote;
+    }
+    if (table === 'sessions' && !copy.closesAt && copy.startTime) {
+        const minutes = copy.durationMinutes || DEFAULT_SESSION_MINUTES;
+        copy.closesAt = new Date(new Date(copy.startTime).getTime() + minutes * 60 * 1000);
+    }
+    if (table === 'subscribers' && typeof copy.email === 'string') {
+        copy.email = copy.email.trim().toLowerCase();
+    }
+    if (table === 'subscribers' && !copy.unsubscribeToken) {
+        copy.unsubscribeToken = crypto.randomBytes(24).toString('base64url');
+    }
+    return copy;
+};
+
+// Archived sessions that were open come back closed once their deadline has passed, and never open
+// next to a running session: only the newest still-open one stays open, if none is running here.
+// Both are reported, as the sweeper would otherwise announce results for old sessions.
+const closeRestoredSessions = (sessions, running, report) => {
+    const now = new Date();
+    const expired = sessions.filter(s => s.isActive && new Date(s.closesAt) <= now);
+    expired.forEach(s => Object.assign(s, { isActive: false, endTime: s.closesAt }));
+    if (expired.length) {
+        report.warnings.push(`${expired.length} session(s) open when the backup was taken are past their deadline and restored closed`);
+    }
+
+    const open = sessions.filter(s => s.isActive).sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    const extra = running ? open : open.slice(1);
+    extra.forEach(s => Object.assign(s, { isActive: false, endTime: now }));
+    if (extra.length) {
+        report.warnings.push(`${extra.length} open session(s) restored closed${running ? ' because a session is already running' : ''}, so only one runs at a time`);
+    }
+};
+
+/**
+ * Restores an archive that passed validateArchive.
+ * merge adds what's missing and keeps everything already here; archived users whose employee ID
+ * exists here are matched to that user. replace deletes the current data first, except keepUserId
+ * (the admin doing the restore) and the vote audit trail, which is merged; tables the archive doesn't
+ * have are left alone. Open sessions are restored closed where closeRestoredSessions says so. With
+ * dryRun nothing is written.
+ * Resolves to { mode, dryRun, tables: { [table]: { archived, created, skipped, deleted } }, warnings, errors }.
+ */
+const restoreBackup = async (archive, { mode = 'merge', dryRun = false, keepUserId } = {}) => {
+    const report = { mode, dryRun, tables: {}, warnings: [], errors: [] };
+    const userIds = new Map(); // Archived user id -> id of the same person here
+
+    Object.keys(archive.data)
+        .filter(table => !TABLES[table])
+        .forEach(table => report.warnings.push(`"${table}" isn't restored by the server`));
+
+    const plans = [];
+    for (const [table, Model] of Object.entries(TABLES)) {
+        const archived = (archive.data[table] || []).map(doc => normalize(table, doc, archive));
+        const references = USER_REFERENCES[table] || [];
+        const uniqueKey = UNIQUE_KEYS[table];
+
+        // What the restored records must not collide with
+        const replaced = mode === 'replace' && table !== 'voteChanges' && Array.isArray(archive.data[table]);
+        const keptFilter = replaced ? (table === 'users' ? { id: keepUserId } : null) : {};
+        const kept = keptFilter ? await Model.find(keptFilter, KEY_FIELDS).lean() : [];
+        const keptIds = new Set(kept.map(doc => doc.id));
+        const keptKeys = new Map(uniqueKey ? kept.map(doc => [uniqueKey(doc), doc.id]) : []);
+
+        const docs = [];
+        let skipped = 0;
+        for (const original of archived) {
+            const doc = { ...original };
+            references.forEach(field => {
+                if (userIds.has(doc[field])) doc[field] = userIds.get(doc[field]);
+            });
+
+            const existingId = keptIds.has(doc.id) ? doc.id : uniqueKey && keptKeys.get(uniqueKey(doc));
+            if (existingId) {
+                if (table === 'users') userIds.set(doc.id, existingId);
+                skipped++;
+                continue;
+            }
+
+            const invalid = new Model(doc).validateSync();
+            if (invalid) {
+                report.errors.push(`${table} ${doc.id}: ${Object.values(invalid.errors).map(e => e.message).join('; ')}`);
+                continue;
+            }
+            docs.push(doc);
+            keptIds.add(doc.id);
+            if (uniqueKey) keptKeys.set(uniqueKey(doc), doc.id);
+        }
+
+        if (table === 'sessions') {
+            closeRestoredSessions(docs, !replaced && Boolean(await Session.exists({ isActive: true })), report);
+        }
+
+        report.tables[table] = {
+            archived: archived.length,
+            created: docs.length,
+            skipped,
+            deleted: replaced ? await Model.countDocuments(table === 'users' ? { id: { $ne: keepUserId } } : {}) : 0
+        };
+        plans.push({ Model, table, docs, replaced });
+    }
+
+    if (report.errors.length > MAX_REPORTED_ERRORS) {
+        const more = report.errors.length - MAX_REPORTED_ERRORS;
+        report.errors = [...report.errors.slice(0, MAX_REPORTED_ERRORS), `…and ${more} more`];
+    }
+    // Nothing is written unless the whole archive can be
+    if (dryRun || report.errors.length) return report;
+
+    for (const { Model, table } of plans.filter(p => p.replaced)) {
+        await Model.deleteMany(table === 'users' ? { id: { $ne: keepUserId } } : {});
+    }
+    for (const { Model, docs } of plans) {
+        if (docs.length) await Model.insertMany(docs);
+    }
+
+    // Restored votes may land in sessions that were already here
+    const touched = new Set([
+        ...plans.find(p => p.table === 'sessions').docs.map(s => s.id),
+        ...plans.find(p => p.table === 'votes').docs.map(v => v.sessionId)
+    ]);
+    await Session.recountVotes({ id: { $in: [...touched] } });
+    return report;
+};
+
+module.exports = {
+    BACKUP_VERSION,
+    RESTORE_MODES,
+    createBackup,
+    validateArchive,
+    restoreBackup
+};
@@ -0,0 +1,23 @@
+/**
+ * Open Eyes Vote - Deployment Configuration
+ * Edit per deployment; app.js reads nothing else to decide where data lives.
+ */
+
+const APP_CONFIG = {
+    // 'rest' (server.js + MongoDB), 'local' (this browser only) or 'firestore'
+    storage: 'local',
+
+    // Used by the 'rest' adapter
+    apiBaseUrl: 'http://localhost:5000/api',
+
+    // Used by the 'firestore' adapter. Leave apiKey empty on Firebase Hosting to use the
+    // hosted project's settings; otherwise copy them from the Firebase console.
+    firebase: {
+        apiKey: '',
+        authDomain: '',
+        projectId: '',
+        emailDomain: 'brewvote.invalid', // Employee IDs become <id>@<emailDomain> Firebase Auth accounts
+        // Pages served from this machine (`npm run emulators`) talk to the local emulators
+        useEmulators: ['localhost', '127.0.0.1'].includes(location.hostname)
+    }
+};
@@ -0,0 +1,259 @@
+/**
+ * Open Eyes Vote - Outbound Email
+ * Templates, transports and the outbox the server's delivery worker drains
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Subscriber, EmailJob } = require('./models');
+const { createOutboxWorker } = require('./outbox');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Open Eyes Vote <noreply@localhost>';
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const APP_URL = process.env.APP_URL || '';
+
+// ===== TRANSPORTS =====
+
+// Anything with nodemailer's sendMail(message) -> Promise can deliver mail
+const transports = {
+    // Any SMTP server, including a local sink such as Mailpit or MailHog on port 1025
+    smtp: () => nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        connectionTimeout: 30 * 1000,
+        socketTimeout: 60 * 1000
+    }),
+
+    // Prints instead of sending; the default when no SMTP server is configured
+    console: () => ({
+        sendMail: async (message) => {
+            console.log(`📧 To: ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`);
+            return { messageId: `console-${crypto.randomUUID()}` };
+        }
+    })
+};
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+let transport = null;
+
+// EMAIL_TRANSPORT names a registered transport or a module (path) exporting a factory
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        if (!transports[name] && name.includes('/')) {
+            registerTransport(name, require(path.resolve(name)));
+        }
+        if (!transports[name]) {
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+// ===== TEMPLATES =====
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Server-local time unless EMAIL_TIMEZONE says otherwise
+const formatTime = (date) => new Intl.DateTimeFormat('en-GB', {
+    timeStyle: 'short',
+    timeZone: process.env.EMAIL_TIMEZONE || undefined
+}).format(new Date(date));
+
+// Per-option counts, most votes first, and the option(s) with the most votes.
+// Options retired mid-session still show up, with their key as the label.
+// With the tally engine's results, the counts are the final round's (for a ranked poll, after the runoff)
+// and the winners are the engine's.
+const rankResults = (options, totals, results) => {
+    const counts = results ? results.rounds[results.rounds.length - 1].counts : totals;
+    const rows = Object.keys(counts)
+        .filter(key => counts[key] > 0)
+        .map(key => ({ key, label: (options.find(o => o.key === key) || { label: key }).label, count: counts[key] }))
+        .sort((a, b) => b.count - a.count);
+    return {
+        rows,
+        winners: results ? rows.filter(r => results.winners.includes(r.key)) : rows.filter(r => r.count === rows[0].count)
+    };
+};
+
+// How a ranked poll was decided, e.g. "Decided by instant runoff over 3 rounds."; empty for other polls
+const describeRunoff = (results) => (results && results.method === 'INSTANT_RUNOFF' && results.rounds.length > 1
+    ? `Decided by instant runoff over ${results.rounds.length} rounds.`
+    : '');
+
+const formatServings = (items) => items
+    .map(i => `${i.servings}${i.unit ? ` ${i.unit}(s)` : ''} ${i.label}`)
+    .join(', ');
+
+// A session's prep plan as text: { prepare, ingredients, forecast }, each empty when there's nothing to say.
+// The forecast only shows when recent sessions suggest more people than voted will want something.
+const describePrep = (prep) => {
+    if (!prep) return { prepare: '', ingredients: '', forecast: '' };
+    const { plan, forecast } = prep;
+    const more = forecast.basedOn > 0 && forecast.votes > prep.votes && forecast.items.length > 0;
+    return {
+        prepare: formatServings(plan.items),
+        ingredients: plan.ingredients.map(i => `${i.amount}${i.unit ? ` ${i.unit}` : ''} ${i.name}`).join(', '),
+        forecast: more ? `If the usual ${forecast.votes} had voted: ${formatServings(forecast.items)}` : ''
+    };
+};
+
+// Each template takes { session, options, totals, totalVotes, results, prep } and returns { subject, lines, html }
+const templates = {
+    'session.started': ({ session, options }) => ({
+        subject: session.question
+            ? `🗳️ ${session.question} (voting open until ${formatTime(session.closesAt)})`
+            : `☕ Voting is open until ${formatTime(session.closesAt)}`,
+        lines: [
+            `A new vote has started and closes at ${formatTime(session.closesAt)}.`,
+            ...(session.question ? [session.question] : []),
+            ...(session.description ? [session.description] : []),
+            `${session.question ? 'Options' : 'On the menu'}: ${options.map(o => o.label).join(', ')}`
+        ],
+        html: `<p>A new vote has started and closes at <strong>${formatTime(session.closesAt)}</strong>.</p>
+${session.question ? `<p><strong>${escapeHtml(session.question)}</strong></p>` : ''}
+${session.description ? `<p>${escapeHtml(session.description)}</p>` : ''}
+<p>${session.question ? 'Options' : 'On the menu'}:</p>
+<ul>${options.map(o => `<li>${escapeHtml(o.label)}</li>`).join('')}</ul>`
+    }),
+
+    'session.closing': ({ session, totalVotes }) => ({
+        subject: '⏳ Voting closes in 2 minutes',
+        lines: [
+            `Voting closes at ${formatTime(session.closesAt)}. ${totalVotes} vote(s) so far; cast yours before it's too late.`
+        ],
+        html: `<p>Voting closes at <strong>${formatTime(session.closesAt)}</strong>.
+${totalVotes} vote(s) so far; cast yours before it's too late.</p>`
+    }),
+
+    // Sent only to an employee who hasn't voted yet
+    'session.reminder': ({ session }) => ({
+        subject: "⏰ You haven't voted yet",
+        lines: [`Voting closes at ${formatTime(session.closesAt)}. Cast your vote before it's too late.`],
+        html: `<p>You haven't voted yet. Voting closes at <strong>${formatTime(session.closesAt)}</strong>.</p>`
+    }),
+
+    'session.ended': ({ session, options, totals, totalVotes, results, prep }) => {
+        const { rows, winners } = rankResults(options, totals, results);
+        const runoff = describeRunoff(results);
+        const { prepare, ingredients, forecast } = describePrep(prep);
+
+        return {
+            subject: totalVotes === 0
+                ? '📊 Voting closed with no votes'
+                : `📊 Results: ${winners.length > 1 ? `it's a tie between ${winners.map(w => w.label).join(' & ')}` : `${winners[0].label} wins`}`,
+            lines: [
+                `Voting has closed with ${totalVotes} vote(s).`,
+                ...(session.question ? [session.question] : []),
+                ...(runoff ? [runoff] : []),
+                ...rows.map(r => `${r.label}: ${r.count}`),
+                ...(prepare ? [`To prepare: ${prepare}`] : []),
+                ...(ingredients ? [`You'll need: ${ingredients}`] : []),
+                ...(forecast ? [forecast] : [])
+            ],
+            html: `<p>Voting has closed with <strong>${totalVotes}</strong> vote(s).</p>
+${session.question ? `<p><strong>${escapeHtml(session.question)}</strong></p>` : ''}
+${runoff ? `<p>${runoff}</p>` : ''}
+<table cellpadding="4">${rows.map(r => `<tr><td>${escapeHtml(r.label)}</td><td align="right"><strong>${r.count}</strong></td></tr>`).join('')}</table>
+${prepare ? `<p>To prepare: <strong>${escapeHtml(prepare)}</strong></p>` : ''}
+${ingredients ? `<p>You'll need: ${escapeHtml(ingredients)}</p>` : ''}
+${forecast ? `<p>${escapeHtml(forecast)}</p>` : ''}`
+        };
+    }
+};
+
+// Wraps a template's body with the app link, why the recipient gets it and their unsubscribe link
+const renderEmail = (template, data, unsubscribeUrl, reason = 'an admin subscribed this address') => {
+    const { subject, lines, html } = templates[template](data);
+    const link = APP_URL ? [`Open the app: ${APP_URL}`] : [];
+
+    return {
+        subject,
+        text: [...lines, ...link, '', `Unsubscribe: ${unsubscribeUrl}`].join('\n'),
+        html: `<div style="font-family: sans-serif; color: #1f2937;">
+${html}
+${APP_URL ? `<p><a href="${escapeHtml(APP_URL)}">Open Open Eyes Vote</a></p>` : ''}
+<p style="font-size: 12px; color: #9ca3af;">You get these because ${escapeHtml(reason)}.
+<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>
+</div>`
+    };
+};
+
+// ===== OUTBOX =====
+
+// Renders the template once per recipient ({ to, unsubscribeToken, subscriberId or userId, reason })
+// into the outbox and returns how many were queued
+const queueEmailsTo = async (recipients, template, data, { sessionId, expiresAt } = {}) => {
+    if (!templates[template]) {
+        throw new Error(`Unknown email template "${template}"`);
+    }
+    if (recipients.length === 0) return 0;
+
+    await EmailJob.insertMany(recipients.map(({ to, unsubscribeToken, subscriberId, userId, reason }) => {
+        const unsubscribeUrl = `${PUBLIC_URL}/api/unsubscribe/${unsubscribeToken}`;
+        return {
+            id: crypto.randomUUID(),
+            subscriberId,
+            userId,
+            to,
+            template,
+            sessionId,
+            unsubscribeUrl,
+            expiresAt,
+            ...renderEmail(template, data, unsubscribeUrl, reason)
+        };
+    }));
+
+    // Send right away rather than waiting for the next worker tick
+    deliverDueEmails();
+    return recipients.length;
+};
+
+// Sends the template to every subscriber
+const queueEmails = async (template, data, options) => {
+    const subscribers = await Subscriber.find();
+    return queueEmailsTo(subscribers.map(subscriber => ({
+        to: subscriber.email,
+        unsubscribeToken: subscriber.unsubscribeToken,
+        subscriberId: subscriber.id
+    })), template, data, options);
+};
+
+// Sends due emails; failures are retried with exponential backoff
+const deliverDueEmails = createOutboxWorker(EmailJob, async (job) => {
+    await getTransport().sendMail({
+        from: EMAIL_FROM,
+        to: job.to,
+        subject: job.subject,
+        text: job.text,
+        html: job.html,
+        headers: {
+            'List-Unsubscribe': `<${job.unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    });
+}, (job) => `📧 ${job.template} to ${job.to}`);
+
+module.exports = {
+    escapeHtml,
+    formatTime,
+    rankResults,
+    describeRunoff,
+    describePrep,
+    registerTransport,
+    renderEmail,
+    queueEmailsTo,
+    queueEmails,
+    deliverDueEmails
+};
@@ -0,0 +1,249 @@
+/**
+ * Open Eyes Vote - Spreadsheet Export
+ * Session and vote reports, written as CSV or XLSX for the admin downloads
+ */
+
+const ExcelJS = require('exceljs');
+const { User, Vote, Session, Option, ballotChoices, countedChoices } = require('./models');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// ===== REPORTS =====
+
+// Each report resolves to { columns, rows }. Columns are { header, key, type } where type is
+// 'text' (default), 'number' or 'date'; rows are objects keyed by column key.
+
+// Option keys to labels: the menu's, then for poll-only options the latest poll that offered them
+const optionLabels = async (sessions) => {
+    const options = await Option.find({}, { key: 1, label: 1 });
+    const labels = new Map();
+    [...sessions].sort((a, b) => a.startTime - b.startTime)
+        .forEach(s => (s.options || []).forEach(o => labels.set(o.key, o.label)));
+    options.forEach(o => labels.set(o.key, o.label));
+    return labels;
+};
+
+// One row per session matching the filter: timing, the poll, per-option counts and turnout.
+// Options are counted as in the dashboard: every choice in multiple-choice polls, the first in ranked ones.
+// Turnout is voters over the employees registered, and not yet deactivated, when the session started.
+const sessionReport = async (filter) => {
+    const sessions = await Session.find(filter).sort({ startTime: 1 });
+    const [{ voters, counts }] = await Vote.aggregate([
+        { $match: { sessionId: { $in: sessions.map(s => s.id) } } },
+        { $lookup: { from: 'sessions', localField: 'sessionId', foreignField: 'id', as: 'session' } },
+        { $project: { sessionId: 1, choices: countedChoices({ $arrayElemAt: ['$session.pollType', 0] }) } },
+        {
+            $facet: {
+                voters: [{ $group: { _id: '$sessionId', count: { $sum: 1 } } }],
+                counts: [
+                    { $unwind: '$choices' },
+                    { $group: { _id: { sessionId: '$sessionId', type: '$choices' }, count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+    const options = await Option.find().sort({ order: 1, createdAt: 1 });
+    const labels = await optionLabels(sessions);
+    const employees = await User.find({ role: 'EMPLOYEE' }, { createdAt: 1, deactivatedAt: 1 });
+
+    // A column per menu option, then any poll-only or retired option keys that have votes
+    const keys = options.map(o => o.key);
+    counts.forEach(c => {
+        if (!keys.includes(c._id.type)) keys.push(c._id.type);
+    });
+    const labelOf = (key) => labels.get(key) || key;
+
+    const columns = [
+        { header: 'Session ID', key: 'id' },
+        { header: 'Started', key: 'startTime', type: 'date' },
+        { header: 'Ended', key: 'endTime', type: 'date' },
+        { header: 'Duration (min)', key: 'durationMinutes', type: 'number' },
+        { header: 'Question', key: 'question' },
+        { header: 'Poll type', key: 'pollType' },
+        ...keys.map(key => ({ header: labelOf(key), key: `option:${key}`, type: 'number' })),
+        { header: 'Total votes', key: 'totalVotes', type: 'number' },
+        { header: 'Eligible', key: 'eligible', type: 'number' },
+        { header: 'Turnout (%)', key: 'turnout', type: 'number' }
+    ];
+
+    const rows = sessions.map(session => {
+        const row = {
+            id: session.id,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            durationMinutes: session.durationMinutes,
+            question: session.question,
+            pollType: session.pollType || 'SINGLE',
+            totalVotes: (voters.find(v => v._id === session.id) || { count: 0 }).count
+        };
+        keys.forEach(key => {
+            row[`option:${key}`] = 0;
+        });
+        counts.filter(c => c._id.sessionId === session.id).forEach(c => {
+            row[`option:${c._id.type}`] = c.count;
+        });
+        row.eligible = employees.filter(u => u.createdAt <= session.startTime
+            && !(u.deactivatedAt && u.deactivatedAt <= session.startTime)).length;
+        row.turnout = row.eligible ? Math.round(row.totalVotes / row.eligible * 1000) / 10 : null;
+        return row;
+    });
+
+    return { columns, rows };
+};
+
+// One row per vote matching the filter, oldest first.
+// Votes of deleted users keep the name they voted under; secret-ballot votes only show the choice,
+// sorted by choice within their session so the order doesn't tell who voted when.
+const voteReport = async (filter) => {
+    const votes = await Vote.find(filter).sort({ timestamp: 1 }).lean();
+    const sessions = await Session.find(
+        { id: { $in: [...new Set(votes.map(v => v.sessionId))] } },
+        { id: 1, startTime: 1, isAnonymous: 1, options: 1 }
+    );
+    const users = await User.find({ id: { $in: [...new Set(votes.map(v => v.userId))] } }, { id: 1, employeeId: 1, name: 1 });
+    const labels = await optionLabels(sessions);
+
+    const sessionsById = new Map(sessions.map(s => [s.id, s]));
+    const usersById = new Map(users.map(u => [u.id, u]));
+    // Ranked choices are listed in order of preference
+    const choiceOf = (vote) => ballotChoices(vote).map(key => labels.get(key) || key).join(', ');
+
+    // Preferences answer the first choice's modifiers, e.g. "Size: Large, Milk: Oat"
+    const menu = await Option.find({ key: { $in: [...new Set(votes.map(v => v.type))] } }, { key: 1, modifiers: 1 }).lean();
+    const modifierLabels = new Map(menu.flatMap(o => (o.modifiers || []).map(m => [`${o.key}|${m.key}`, m.label])));
+    const preferencesOf = (vote) => Object.entries(vote.preferences || {})
+        .map(([key, value]) => `${modifierLabels.get(`${vote.type}|${key}`) || key}: ${value}`)
+        .join(', ');
+
+    const columns = [
+        { header: 'Session ID', key: 'sessionId' },
+        { header: 'Session started', key: 'sessionStart', type: 'date' },
+        { header: 'Employee ID', key: 'employeeId' },
+        { header: 'Name', key: 'name' },
+        { header: 'Choice', key: 'choice' },
+        { header: 'Voted at', key: 'timestamp', type: 'date' },
+        { header: 'Changed at', key: 'updatedAt', type: 'date' },
+        { header: 'Preferences', key: 'preferences' }
+    ];
+
+    const rows = votes.map(vote => {
+        const user = usersById.get(vote.userId);
+        const session = sessionsById.get(vote.sessionId);
+        if (session && session.isAnonymous) {
+            return { sessionId: vote.sessionId, sessionStart: session.startTime, choice: choiceOf(vote) };
+        }
+        return {
+            sessionId: vote.sessionId,
+            sessionStart: session ? session.startTime : null,
+            employeeId: user ? user.employeeId : '',
+            name: user ? user.name : vote.userName,
+            choice: choiceOf(vote),
+            timestamp: vote.timestamp,
+            updatedAt: vote.updatedAt,
+            preferences: preferencesOf(vote)
+        };
+    });
+
+    const secretRows = new Map(); // Session ID -> indexes of its rows
+    rows.forEach((row, index) => {
+        const session = sessionsById.get(row.sessionId);
+        if (session && session.isAnonymous) {
+            secretRows.set(row.sessionId, [...(secretRows.get(row.sessionId) || []), index]);
+        }
+    });
+    secretRows.forEach(indexes => {
+        const sorted = indexes.map(i => rows[i]).sort((a, b) => a.choice.localeCompare(b.choice));
+        indexes.forEach((rowIndex, i) => {
+            rows[rowIndex] = sorted[i];
+        });
+    });
+
+    return { columns, rows };
+};
+
+// ===== CSV =====
+
+// Spreadsheet apps run cells starting with these as formulas; names are typed in by employees.
+// A leading apostrophe makes them plain text.
+const escapeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+const csvCell = (value, type) => {
+    if (value === null || value === undefined) return '';
+    if (type === 'date') return new Date(value).toISOString();
+    const text = type === 'number' ? String(value) : escapeFormula(String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 with CRLF line ends; the byte order mark makes Excel read it as UTF-8
+const toCsv = (columns, rows) => '\uFEFF' + [
+    columns.map(c => csvCell(c.header)).join(','),
+    ...rows.map(row => columns.map(c => csvCell(row[c.key], c.type)).join(','))
+].join('\r\n') + '\r\n';
+
+// ===== XLSX =====
+
+// Excel dates have no timezone, so each one becomes its wall-clock time in timeZone
+const wallClock = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(date)).forEach(p => {
+        parts[p.type] = Number(p.value);
+    });
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+const toXlsx = async (sheetName, columns, rows, timeZone = 'UTC') => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Open Eyes Vote';
+
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(c => ({
+        header: c.header,
+        key: c.key,
+        width: c.type === 'date' ? 18 : Math.max(10, c.header.length + 2),
+        style: c.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows.map(row => {
+        const cells = {};
+        columns.forEach(c => {
+            const value = row[c.key];
+            cells[c.key] = c.type === 'date' && value ? wallClock(value, timeZone) : value;
+        });
+        return cells;
+    }));
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    return workbook.xlsx.writeBuffer();
+};
+
+// Sends the rows as an attachment named <name>.<format>. CSV dates are ISO 8601 in UTC;
+// XLSX dates are shown in timeZone, on a sheet called sheetName.
+const sendSpreadsheet = async (res, { format, name, sheetName, timeZone }, columns, rows) => {
+    const body = format === 'xlsx' ? Buffer.from(await toXlsx(sheetName, columns, rows, timeZone)) : toCsv(columns, rows);
+    res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${name}.${format}"`
+    });
+    res.send(body);
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    sessionReport,
+    voteReport,
+    escapeFormula,
+    wallClock,
+    toCsv,
+    toXlsx,
+    sendSpreadsheet
+};
@@ -0,0 +1,369 @@
+/**
+ * Open Eyes Vote - Mongoose Models
+ * Shared by the server and the maintenance scripts
+ */
+
+const mongoose = require('mongoose');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/brewvote';
+
+// Session Config
+const DEFAULT_SESSION_MINUTES = 10;
+const MAX_SESSION_MINUTES = 240;
+
+// Poll Config
+const POLL_TYPES = ['SINGLE', 'MULTIPLE', 'RANKED']; // One choice, any number of choices, choices in order of preference
+
+// ===== SCHEMAS =====
+
+const userSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    name: String,
+    employeeId: { type: String, unique: true, required: true },
+    role: { type: String, enum: ['EMPLOYEE', 'ADMIN'], required: true },
+    passwordHash: String,
+    setupCodeHash: String, // One-time code an admin issued for setting the password
+    setupCodeExpiresAt: Date,
+    // Where the employee wants "you haven't voted yet" reminders; push needs no setting here
+    reminders: {
+        email: String
+    },
+    reminderToken: String, // Unsubscribe link token for reminder emails
+    isActive: { type: Boolean, default: true }, // Deactivated employees keep their votes but can't log in
+    deactivatedAt: Date,
+    // The employee's usual answers to each option's modifiers, by option key, prefilled when they vote
+    preferences: { type: Map, of: { type: Map, of: String } },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Never send password or setup code hashes (or unsubscribe tokens) to the client
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.setupCodeHash;
+        delete ret.reminderToken;
+        return ret;
+    }
+});
+
+const voteSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    sessionId: { type: String, required: true },
+    userId: { type: String, required: true },
+    userName: String,
+    type: { type: String, required: true }, // Option.key; the first choice in multiple-choice and ranked polls
+    choices: [String], // Every choice, in order of preference; empty on votes from before polls
+    preferences: { type: Map, of: String }, // Answers to the first choice's modifiers by modifier key, e.g. { SIZE: 'Large' }
+    timestamp: { type: Date, default: Date.now },
+    updatedAt: Date // Last time the voter changed their choice
+});
+
+// Append-only audit trail of every vote cast, changed or withdrawn
+const voteChangeSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    voteId: { type: String, required: true },
+    sessionId: { type: String, required: true },
+    userId: { type: String, required: true },
+    userName: String,
+    action: { type: String, enum: ['CAST', 'CHANGED', 'WITHDRAWN'], required: true },
+    fromType: String,
+    toType: String,
+    fromChoices: [String],
+    toChoices: [String],
+    timestamp: { type: Date, default: Date.now }
+});
+
+voteChangeSchema.index({ sessionId: 1, timestamp: 1 });
+
+// An option as it was when a poll opened, so renaming or retiring it later doesn't change the poll
+const pollOptionSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    color: String,
+    icon: String
+}, { _id: false });
+
+const sessionSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    question: String, // e.g. "Friday team lunch place"; unset for a plain menu vote
+    description: String,
+    pollType: { type: String, enum: POLL_TYPES, default: 'SINGLE' },
+    options: [pollOptionSchema], // Empty on sessions from before polls, which offered the active menu
+    startTime: { type: Date, required: true },
+    endTime: Date,
+    isActive: { type: Boolean, default: true },
+    totalVotes: { type: Number, default: 0 },
+    durationMinutes: { type: Number, default: DEFAULT_SESSION_MINUTES },
+    closesAt: Date, // Authoritative deadline; the sweeper closes the session once it passes
+    createdBy: String,
+    scheduleId: String, // Set when opened by the schedule worker
+    closingNoticeSentAt: Date, // Set once the "closing soon" email and webhook reminders have been queued
+    remindBeforeMinutes: Number, // Remind pending voters this long before closing; unset or 0 for no automatic reminder
+    autoReminderSentAt: Date,
+    isAnonymous: { type: Boolean, default: false }, // Secret ballot: nobody but the voter sees who chose what
+    ballotsSealedAt: Date, // Set once a closed secret ballot's votes were cut loose from their voters
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One vote per user per session, enforced by MongoDB rather than a read-then-write check
+voteSchema.index({ sessionId: 1, userId: 1 }, { unique: true });
+
+// Indexes for the dashboard's per-session and per-user lookups
+voteSchema.index({ sessionId: 1, type: 1 });
+voteSchema.index({ userId: 1 });
+voteSchema.index({ timestamp: 1 });
+sessionSchema.index({ isActive: 1 });
+sessionSchema.index({ startTime: -1 });
+
+// A vote's choices, including votes from before polls that only have a type
+const ballotChoices = (vote) => (vote.choices && vote.choices.length ? vote.choices : [vote.type]);
+
+// Aggregation expression for the option keys a vote counts towards, given its session's poll type:
+// every choice in a multiple-choice poll, otherwise the first choice only
+const countedChoices = (pollType) => ({
+    $cond: [
+        { $and: [{ $eq: [pollType, 'MULTIPLE'] }, { $gt: [{ $size: { $ifNull: ['$choices', []] } }, 0] }] },
+        '$choices',
+        ['$type']
+    ]
+});
+
+// totalVotes is derived from the votes collection: recount instead of incrementing so it can't drift.
+// Returns the sessions whose stored count was wrong.
+sessionSchema.statics.recountVotes = async function (filter = {}) {
+    const sessions = await this.find(filter, { id: 1, totalVotes: 1 });
+    const counts = await mongoose.model('Vote').aggregate([
+        { $match: { sessionId: { $in: sessions.map(s => s.id) } } },
+        { $group: { _id: '$sessionId', count: { $sum: 1 } } }
+    ]);
+    const byId = new Map(counts.map(c => [c._id, c.count]));
+
+    const drifted = sessions
+        .map(s => ({ id: s.id, was: s.totalVotes, now: byId.get(s.id) || 0 }))
+        .filter(s => s.was !== s.now);
+    if (drifted.length > 0) {
+        await this.bulkWrite(drifted.map(s => ({
+            updateOne: { filter: { id: s.id }, update: { totalVotes: s.now } }
+        })));
+    }
+    return drifted;
+};
+
+// What one serving of an option takes, e.g. { name: 'Coffee beans', amount: 15, unit: 'g' }
+const ingredientSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    unit: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+// How much to prepare per vote: servings (e.g. 1 cup) and what each serving takes
+const recipeSchema = new mongoose.Schema({
+    servingsPerVote: { type: Number, min: 0, default: 1 },
+    servingUnit: { type: String, trim: true, default: 'cup' },
+    ingredients: [ingredientSchema]
+}, { _id: false });
+
+// Something asked along with a vote for an option, e.g. size or milk; free text when it has no choices
+const modifierSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    choices: [String]
+}, { _id: false });
+
+const optionSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    key: { type: String, unique: true, required: true },
+    label: { type: String, required: true },
+    color: { type: String, match: /^#[0-9a-fA-F]{6}$/, default: '#6b7280' },
+    icon: { type: String, default: 'coffee' },
+    isActive: { type: Boolean, default: true },
+    order: { type: Number, default: 0 },
+    recipe: recipeSchema, // Unset for options that aren't prepared, e.g. "Skip today"
+    modifiers: [modifierSchema],
+    createdAt: { type: Date, default: Date.now }
+});
+
+const scheduleSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    name: { type: String, required: true },
+    rule: { type: String, required: true }, // Cron expression, e.g. "30 10,15 * * 1-5"
+    timezone: { type: String, default: 'UTC' },
+    durationMinutes: { type: Number, min: 1, max: MAX_SESSION_MINUTES, default: DEFAULT_SESSION_MINUTES },
+    skipDates: [String], // "YYYY-MM-DD" in the schedule's timezone, e.g. holidays
+    isActive: { type: Boolean, default: true },
+    lastRunAt: Date, // Latest occurrence the worker has handled (opened or skipped)
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const subscriberSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    email: { type: String, unique: true, required: true, lowercase: true, trim: true, match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    unsubscribeToken: { type: String, unique: true, required: true }, // Lets the recipient unsubscribe without logging in
+    addedBy: String,
+    subscribedAt: { type: Date, default: Date.now }
+});
+
+// The token only ever goes out in the subscriber's own emails
+subscriberSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.unsubscribeToken;
+        return ret;
+    }
+});
+
+// Outbox of rendered emails; the delivery worker sends them and retries failures
+const emailJobSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    subscriberId: String,
+    userId: String, // Set instead of subscriberId for an employee's own reminders
+    to: { type: String, required: true },
+    template: { type: String, required: true },
+    sessionId: String,
+    subject: String,
+    text: String,
+    html: String,
+    unsubscribeUrl: String,
+    status: { type: String, enum: ['PENDING', 'SENT', 'FAILED', 'EXPIRED'], default: 'PENDING' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now }, // Also pushed forward while an attempt is in flight
+    expiresAt: Date, // Not worth sending after this, e.g. a "closing soon" notice once voting has closed
+    lastError: String,
+    sentAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Outgoing chat webhook; payloads are shaped for the platform and signed with the secret
+const webhookSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    format: { type: String, enum: ['SLACK', 'TEAMS', 'GOOGLE_CHAT'], required: true },
+    secret: { type: String, required: true }, // HMAC key for the X-BrewVote-Signature header
+    isActive: { type: Boolean, default: true },
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// The secret is only shown once, when the webhook is created
+webhookSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+// One post to one webhook; doubles as the delivery log shown to admins
+const webhookDeliverySchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    webhookId: { type: String, required: true },
+    webhookName: String,
+    event: { type: String, required: true }, // session.started, session.closing, session.ended or webhook.test
+    sessionId: String,
+    body: { type: String, required: true }, // Rendered JSON, so every retry posts the same payload
+    status: { type: String, enum: ['PENDING', 'SENT', 'FAILED', 'EXPIRED'], default: 'PENDING' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    expiresAt: Date,
+    responseStatus: Number, // HTTP status of the last attempt
+    lastError: String,
+    sentAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+// A browser's Web Push endpoint; one user can have several (phone, laptop)
+const pushSubscriptionSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    userId: { type: String, required: true },
+    endpoint: { type: String, unique: true, required: true },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+    },
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+pushSubscriptionSchema.index({ userId: 1 });
+
+// How many times a pending voter has been reminded in a session, so nobody gets spammed
+const reminderSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true },
+    userId: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    lastSentAt: Date
+});
+
+reminderSchema.index({ sessionId: 1, userId: 1 }, { unique: true });
+
+// Where ended sessions are written in Google Sheets; a single document with id "default"
+const sheetSettingsSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    spreadsheetId: { type: String, required: true },
+    sessionsTab: { type: String, default: 'Sessions' }, // One summary row per ended session
+    votesTab: String, // Raw votes of each ended session; unset for none
+    timezone: { type: String, default: 'UTC' }, // Times are written as this timezone's wall clock
+    isActive: { type: Boolean, default: true },
+    updatedBy: String,
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// An ended session waiting to be appended to the spreadsheet; also the sync log shown to admins
+const sheetSyncJobSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    sessionId: { type: String, required: true },
+    status: { type: String, enum: ['PENDING', 'SENT', 'FAILED', 'EXPIRED'], default: 'PENDING' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    summarySentAt: Date, // The summary row is in; a retry only redoes the votes tab
+    rowCount: Number, // Rows appended across both tabs
+    lastError: String,
+    sentAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+sheetSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+sheetSyncJobSchema.index({ createdAt: -1 });
+
+const User = mongoose.model('User', userSchema);
+const Vote = mongoose.model('Vote', voteSchema);
+const VoteChange = mongoose.model('VoteChange', voteChangeSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Option = mongoose.model('Option', optionSchema);
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+const EmailJob = mongoose.model('EmailJob', emailJobSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+const Reminder = mongoose.model('Reminder', reminderSchema);
+const SheetSettings = mongoose.model('SheetSettings', sheetSettingsSchema);
+const SheetSyncJob = mongoose.model('SheetSyncJob', sheetSyncJobSchema);
+
+module.exports = {
+    MONGO_URI,
+    DEFAULT_SESSION_MINUTES,
+    MAX_SESSION_MINUTES,
+    POLL_TYPES,
+    ballotChoices,
+    countedChoices,
+    User,
+    Vote,
+    VoteChange,
+    Session,
+    Option,
+    Schedule,
+    Subscriber,
+    EmailJob,
+    Webhook,
+    WebhookDelivery,
+    PushSubscription,
+    Reminder,
+    SheetSettings,
+    SheetSyncJob
+};
@@ -0,0 +1,66 @@
+/**
+ * Open Eyes Vote - Outbox Delivery
+ * Shared by email, chat webhooks and Google Sheets sync: claim due jobs, send them, retry failures with backoff
+ */
+
+// Delivery Config
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+const SEND_LEASE_MS = 2 * 60 * 1000; // A crashed attempt is retried once this passes
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Returns a function that sends Model's due PENDING jobs through send(job).
+ * Jobs need id, status, attempts, nextAttemptAt and optionally expiresAt.
+ * send resolves to (and its errors may carry as err.details) extra fields to store on the job;
+ * errors flagged err.permanent are not retried.
+ * describe(job) names the job in failure logs.
+ */
+const createOutboxWorker = (Model, send, describe) => {
+    let running = false;
+
+    return async () => {
+        if (running) return;
+        running = true;
+
+        try {
+            for (let sent = 0; sent < DELIVERY_BATCH_SIZE; sent++) {
+                const now = new Date();
+
+                // Claim the job by pushing its next attempt past the lease, so another server instance
+                // (or this one after a crash) only picks it up again if this attempt never finishes
+                const job = await Model.findOneAndUpdate(
+                    { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                    { nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS), $inc: { attempts: 1 } },
+                    { sort: { nextAttemptAt: 1 }, new: true }
+                );
+                if (!job) break;
+
+                if (job.expiresAt && job.expiresAt <= now) {
+                    await Model.updateOne({ id: job.id }, { status: 'EXPIRED' });
+                    continue;
+                }
+
+                try {
+                    const details = await send(job);
+                    await Model.updateOne({ id: job.id }, { status: 'SENT', sentAt: new Date(), lastError: null, ...details });
+                } catch (err) {
+                    const failed = err.permanent || job.attempts >= MAX_ATTEMPTS;
+                    await Model.updateOne({ id: job.id }, {
+                        status: failed ? 'FAILED' : 'PENDING',
+                        nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+                        lastError: err.message,
+                        ...err.details
+                    });
+                    console.error(`${describe(job)} failed (attempt ${job.attempts}${failed ? ', giving up' : ''}):`, err.message);
+                }
+            }
+        } catch (err) {
+            console.error(`${Model.modelName} delivery error:`, err);
+        } finally {
+            running = false;
+        }
+    };
+};
+
+module.exports = { createOutboxWorker };
@@ -0,0 +1,150 @@
+/**
+ * Open Eyes Vote - Preparation Planning
+ * Turns a session's votes into what to brew, using each menu option's recipe, and forecasts the
+ * final order from recent sessions for when voting closes before everyone has had their say.
+ * Votes with the same preferences (size, milk and so on) are grouped so each drink is made once per group.
+ */
+
+const { Vote, Session, Option, countedChoices } = require('./models');
+
+// How many earlier sessions the forecast learns from
+const FORECAST_SESSIONS = 10;
+
+const roundAmount = (amount) => Math.round(amount * 10) / 10;
+
+// Votes per option key, counted the way the session's poll type counts them
+const countVotes = async (sessionIds, pollType) => {
+    const rows = await Vote.aggregate([
+        { $match: { sessionId: { $in: sessionIds } } },
+        { $project: { keys: countedChoices(pollType) } },
+        { $unwind: '$keys' },
+        { $group: { _id: '$keys', count: { $sum: 1 } } }
+    ]);
+    return Object.fromEntries(rows.map(r => [r._id, r.count]));
+};
+
+/**
+ * What the given votes per option key take to prepare. Options without a recipe aren't prepared.
+ * Returns { items: [{ key, label, votes, servings, unit }], ingredients: [{ name, amount, unit }] },
+ * with the same ingredient in the same unit added up across options.
+ */
+const prepList = (options, counts) => {
+    const items = [];
+    const ingredients = new Map();
+    options.forEach(option => {
+        const votes = counts[option.key] || 0;
+        if (!option.recipe || votes === 0) return;
+
+        const servings = votes * option.recipe.servingsPerVote;
+        items.push({ key: option.key, label: option.label, votes, servings: roundAmount(servings), unit: option.recipe.servingUnit });
+        option.recipe.ingredients.forEach(({ name, amount, unit }) => {
+            const id = `${name.toLowerCase()}|${unit}`;
+            const total = ingredients.get(id) || { name, amount: 0, unit };
+            total.amount += amount * servings;
+            ingredients.set(id, total);
+        });
+    });
+    return {
+        items,
+        ingredients: [...ingredients.values()].map(i => ({ ...i, amount: roundAmount(i.amount) }))
+    };
+};
+
+/**
+ * Votes grouped by first choice and the answers to its modifiers that have choices, most votes first.
+ * Free-text answers such as notes don't split groups; they're listed with the voter's name, unless
+ * the ballot is secret. Returns [{ key, label, count, answers: [{ label, value }], notes: [{ name, label, text }] }].
+ */
+const preferenceGroups = (options, votes, session) => {
+    const groups = new Map();
+    votes.forEach(vote => {
+        const option = options.find(o => o.key === vote.type);
+        const modifiers = option ? option.modifiers || [] : [];
+        const preferences = vote.preferences || {};
+        const answers = modifiers
+            .filter(m => m.choices.length && preferences[m.key])
+            .map(m => ({ label: m.label, value: preferences[m.key] }));
+
+        const id = JSON.stringify([vote.type, answers]);
+        const group = groups.get(id) || {
+            key: vote.type,
+            label: option ? option.label : vote.type,
+            count: 0,
+            answers,
+            notes: []
+        };
+        group.count++;
+        modifiers
+            .filter(m => !m.choices.length && preferences[m.key])
+            .forEach(m => group.notes.push({
+                name: session.isAnonymous ? undefined : vote.userName,
+                label: m.label,
+                text: preferences[m.key]
+            }));
+        groups.set(id, group);
+    });
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Expected votes per option once everyone who usually votes has: the votes so far, topped up to the
+ * average turnout of recent sessions of the same kind and split the way those sessions voted.
+ * Resolves to { basedOn, votes, counts }, where basedOn is the number of sessions it learned from.
+ */
+const forecastCounts = async (session, keys, counts, votes) => {
+    const pollType = session.pollType || 'SINGLE';
+    const recent = await Session.find({
+        id: { $ne: session.id },
+        isActive: false,
+        startTime: { $lt: session.startTime },
+        pollType: pollType === 'MULTIPLE' ? 'MULTIPLE' : { $ne: 'MULTIPLE' }
+    }, { id: 1, totalVotes: 1 }).sort({ startTime: -1 }).limit(FORECAST_SESSIONS);
+
+    const ballots = recent.reduce((sum, s) => sum + s.totalVotes, 0);
+    if (ballots === 0) return { basedOn: 0, votes, counts };
+
+    const expected = Math.max(votes, Math.round(ballots / recent.length));
+    const history = await countVotes(recent.map(s => s.id), pollType);
+    // Share of ballots that picked each option; with one pick per ballot, picks of options this
+    // session doesn't offer go to the ones it does
+    const picks = keys.reduce((sum, key) => sum + (history[key] || 0), 0);
+    const per = pollType === 'MULTIPLE' ? ballots : picks;
+
+    const forecast = {};
+    keys.forEach(key => {
+        const share = per ? (history[key] || 0) / per : 0;
+        forecast[key] = Math.ceil((counts[key] || 0) + (expected - votes) * share);
+    });
+    return { basedOn: recent.length, votes: expected, counts: forecast };
+};
+
+/**
+ * A session's preparation plan. Resolves to { votes, plan, forecast }: plan is the prep list for the
+ * votes cast with its preference groups, forecast the prep list if recent sessions' usual turnout had
+ * voted, with the expected votes and the number of sessions it's based on.
+ */
+const sessionPrep = async (session) => {
+    const pollType = session.pollType || 'SINGLE';
+    const counts = await countVotes([session.id], pollType);
+    const ballots = await Vote.find({ sessionId: session.id }, { type: 1, userName: 1, preferences: 1 }).lean();
+    const votes = ballots.length;
+
+    // Sessions from before polls offered the whole active menu
+    const offered = session.options && session.options.length
+        ? { key: { $in: session.options.map(o => o.key) } }
+        : { isActive: true };
+    const options = await Option.find({ $or: [offered, { key: { $in: Object.keys(counts) } }] })
+        .sort({ order: 1, createdAt: 1 })
+        .lean();
+    const forecast = await forecastCounts(session, options.map(o => o.key), counts, votes);
+
+    return {
+        votes,
+        plan: { ...prepList(options, counts), groups: preferenceGroups(options, ballots, session) },
+        forecast: { basedOn: forecast.basedOn, votes: forecast.votes, ...prepList(options, forecast.counts) }
+    };
+};
+
+module.exports = {
+    sessionPrep
+};
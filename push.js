@@ -0,0 +1,86 @@
+/**
+ * Open Eyes Vote - Web Push
+ * VAPID-signed pushes to employees' browsers; sw.js shows them even when the app is closed
+ */
+
+const webPush = require('web-push');
+const { PushSubscription, Vote } = require('./models');
+const { formatTime } = require('./email');
+
+const APP_URL = process.env.APP_URL || '';
+
+let vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+if (!vapidKeys.publicKey || !vapidKeys.privateKey) {
+    vapidKeys = webPush.generateVAPIDKeys();
+    console.warn('⚠️  VAPID keys not set; using random ones, browsers must re-subscribe after a restart (npx web-push generate-vapid-keys)');
+}
+webPush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:noreply@localhost', vapidKeys.publicKey, vapidKeys.privateKey);
+
+// Browsers need this to subscribe
+const VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+
+// Notification content per event; data is { session, options, totals, totalVotes }
+const messages = {
+    'session.started': ({ session, options }) => ({
+        title: session.question ? `🗳️ ${session.question}` : '☕ Voting is open',
+        body: `${options.map(o => o.label).join(', ')}. Vote before ${formatTime(session.closesAt)}.`
+    }),
+
+    'session.closing': ({ session }) => ({
+        title: '⏳ Voting closes in 2 minutes',
+        body: `You haven't voted yet. Voting closes at ${formatTime(session.closesAt)}.`
+    }),
+
+    'session.reminder': ({ session }) => ({
+        title: "⏰ You haven't voted yet",
+        body: `Voting closes at ${formatTime(session.closesAt)}.`
+    })
+};
+
+// Sends one push; subscriptions the push service reports as gone are deleted
+const sendPush = async (subscription, payload, options) => {
+    try {
+        await webPush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, options);
+    } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 410) {
+            await PushSubscription.deleteOne({ id: subscription.id });
+        } else {
+            console.error(`🔔 Push to user ${subscription.userId} failed:`, err.statusCode || '', err.body || err.message);
+        }
+    }
+};
+
+// Pushes a session message to the subscribed browsers matching filter and returns how many it went to
+const pushTo = async (filter, type, data) => {
+    const { session } = data;
+    const subscriptions = await PushSubscription.find(filter);
+    if (subscriptions.length === 0) return 0;
+
+    // One tag per session, so the closing reminder replaces the start notification
+    const payload = JSON.stringify({ ...messages[type](data), tag: `session-${session.id}`, url: APP_URL || undefined });
+    // Push services hold messages for offline devices; there's no point once voting has closed
+    const TTL = Math.max(0, Math.floor((new Date(session.closesAt) - Date.now()) / 1000));
+
+    await Promise.all(subscriptions.map(subscription => sendPush(subscription, payload, { TTL, urgency: 'high' })));
+    return subscriptions.length;
+};
+
+// Pushes a session event to every subscribed browser; closing reminders skip users who already voted
+const pushSession = async (type, data) => {
+    if (type !== 'session.started' && type !== 'session.closing') return 0;
+
+    let filter = {};
+    if (type === 'session.closing') {
+        filter = { userId: { $nin: await Vote.distinct('userId', { sessionId: data.session.id }) } };
+    }
+    return pushTo(filter, type, data);
+};
+
+// Reminds the given (pending) users on each of their browsers
+const pushReminder = (data, userIds) => pushTo({ userId: { $in: userIds } }, 'session.reminder', data);
+
+module.exports = {
+    VAPID_PUBLIC_KEY,
+    pushSession,
+    pushReminder
+};
@@ -0,0 +1,21 @@
+/**
+ * Open Eyes Vote - Session Results
+ * Runs a session's stored votes through the tally engine in tally.js.
+ */
+
+const { Vote, ballotChoices } = require('./models');
+const { tallyBallots } = require('./tally');
+
+// A session's results from its votes
+const sessionResults = async (session) => {
+    const votes = await Vote.find({ sessionId: session.id }, { type: 1, choices: 1 }).lean();
+    return tallyBallots(
+        session.pollType || 'SINGLE',
+        (session.options || []).map(o => o.key),
+        votes.map(ballotChoices)
+    );
+};
+
+module.exports = {
+    sessionResults
+};
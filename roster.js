@@ -0,0 +1,248 @@
+/**
+ * Open Eyes Vote - Employee Roster
+ * Imports the employee list from CSV, deactivates leavers and merges duplicate accounts
+ */
+
+const crypto = require('crypto');
+const { User, Vote, VoteChange, Session, EmailJob, PushSubscription, Reminder } = require('./models');
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Header names accepted for each column, compared lowercased without spaces, dashes or underscores
+const HEADERS = {
+    employeeId: ['employeeid', 'employee', 'empid', 'staffid', 'id'],
+    name: ['name', 'fullname', 'employeename']
+};
+
+const headerKey = (cell) => cell.toLowerCase().replace(/[\s_-]+/g, '');
+
+// ===== CSV =====
+
+// RFC 4180: quoted fields may hold the delimiter, line breaks and doubled quotes.
+// Excel in many locales saves with semicolons, so those are accepted if the first line has no commas.
+const parseCsv = (text) => {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Reads a roster CSV whose first row names the columns: an employee ID column and a name column
+ * (e.g. "Employee ID,Name"); other columns are ignored. Blank lines are skipped.
+ * Returns { entries: [{ line, employeeId, name }], errors }.
+ */
+const parseRoster = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    const columns = {};
+    (header || []).forEach((cell, index) => {
+        const key = Object.keys(HEADERS).find(k => HEADERS[k].includes(headerKey(cell)));
+        if (key && columns[key] === undefined) columns[key] = index;
+    });
+    if (columns.employeeId === undefined || columns.name === undefined) {
+        return { entries: [], errors: ['The first row must name the columns, e.g. "Employee ID,Name"'] };
+    }
+
+    const entries = [];
+    const errors = [];
+    const lines = new Map(); // Employee ID -> line it was first seen on
+    rows.forEach((cells, index) => {
+        const line = index + 2;
+        if (cells.every(cell => !cell.trim())) return;
+
+        const employeeId = (cells[columns.employeeId] || '').trim();
+        const name = (cells[columns.name] || '').trim();
+        if (!employeeId) {
+            errors.push(`Line ${line}: employee ID is missing`);
+        } else if (lines.has(employeeId)) {
+            errors.push(`Line ${line}: ${employeeId} is also on line ${lines.get(employeeId)}`);
+        } else {
+            lines.set(employeeId, line);
+            entries.push({ line, employeeId, name });
+        }
+    });
+    return { entries, errors };
+};
+
+// ===== ACCOUNTS =====
+
+// Deactivated employees keep their votes but can't log in, aren't counted as pending and get no
+// more pushes or reminder emails
+const deactivateUsers = async (ids) => {
+    if (ids.length === 0) return;
+    await User.updateMany({ id: { $in: ids } }, { isActive: false, deactivatedAt: new Date() });
+    await PushSubscription.deleteMany({ userId: { $in: ids } });
+    await EmailJob.deleteMany({ userId: { $in: ids }, status: 'PENDING' });
+};
+
+const reactivateUsers = (ids) => User.updateMany({ id: { $in: ids } }, { isActive: true, $unset: { deactivatedAt: 1 } });
+
+/**
+ * Applies parsed roster entries: new employee IDs are added (they set a password with a setup code),
+ * changed names are updated and deactivated employees on the list are reactivated. With
+ * deactivateMissing, active employees not on the list are deactivated. Nothing is written if any
+ * entry is invalid, or with dryRun.
+ * Resolves to { dryRun, created, renamed, reactivated, deactivated, unchanged, errors }, where the
+ * first four list employee IDs and unchanged is a count.
+ */
+const importRoster = async (entries, { deactivateMissing = false, dryRun = false, errors = [] } = {}) => {
+    const report = { dryRun, created: [], renamed: [], reactivated: [], deactivated: [], unchanged: 0, errors: [...errors] };
+    if (entries.length === 0 && errors.length === 0) {
+        report.errors.push('The file lists no employees');
+    }
+    const users = await User.find({}, { id: 1, employeeId: 1, name: 1, role: 1, isActive: 1 });
+    const byEmployeeId = new Map(users.map(u => [u.employeeId, u]));
+
+    const creates = [];
+    const renames = [];
+    const reactivations = [];
+    for (const { line, employeeId, name } of entries) {
+        const user = byEmployeeId.get(employeeId);
+        if (!user) {
+            if (!name) {
+                report.errors.push(`Line ${line}: ${employeeId} is new and needs a name`);
+                continue;
+            }
+            creates.push({ id: crypto.randomUUID(), employeeId, name, role: 'EMPLOYEE' });
+            report.created.push(employeeId);
+            continue;
+        }
+        if (user.role !== 'EMPLOYEE') {
+            report.errors.push(`Line ${line}: ${employeeId} is an admin account`);
+            continue;
+        }
+
+        let changed = false;
+        if (name && name !== user.name) {
+            renames.push({ updateOne: { filter: { id: user.id }, update: { name } } });
+            report.renamed.push(employeeId);
+            changed = true;
+        }
+        if (user.isActive === false) {
+            reactivations.push(user.id);
+            report.reactivated.push(employeeId);
+            changed = true;
+        }
+        if (!changed) report.unchanged++;
+    }
+
+    const listed = new Set(entries.map(e => e.employeeId));
+    const leavers = deactivateMissing
+        ? users.filter(u => u.role === 'EMPLOYEE' && u.isActive !== false && !listed.has(u.employeeId))
+        : [];
+    report.deactivated = leavers.map(u => u.employeeId);
+
+    if (report.errors.length > MAX_REPORTED_ERRORS) {
+        const more = report.errors.length - MAX_REPORTED_ERRORS;
+        report.errors = [...report.errors.slice(0, MAX_REPORTED_ERRORS), `…and ${more} more`];
+    }
+    // Nothing is written unless the whole file can be
+    if (dryRun || report.errors.length) return report;
+
+    if (creates.length) await User.insertMany(creates);
+    if (renames.length) await User.bulkWrite(renames);
+    await reactivateUsers(reactivations);
+    await deactivateUsers(leavers.map(u => u.id));
+    return report;
+};
+
+// MongoDB reports unique index violations with code 11000
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+// Moves fromId's votes to intoId one at a time, so a vote intoId casts meanwhile in the same session
+// only drops fromId's there. Resolves to { moved, dropped }, with the sessions of the dropped votes.
+const moveVotes = async (fromId, intoId) => {
+    const votes = await Vote.find({ userId: fromId }, { id: 1, sessionId: 1 });
+    let moved = 0;
+    const dropped = [];
+    for (const vote of votes) {
+        try {
+            await Vote.updateOne({ id: vote.id }, { userId: intoId });
+            moved++;
+        } catch (err) {
+            if (!isDuplicateKeyError(err)) throw err;
+            await Vote.deleteOne({ id: vote.id });
+            dropped.push(vote.sessionId);
+        }
+    }
+    return { moved, dropped };
+};
+
+/**
+ * Folds a duplicate employee account into another: its votes, vote history, browsers, reminder
+ * settings and usual preferences move over and the duplicate is deleted. In sessions both accounts voted in, the kept
+ * account's vote stands and the duplicate's is dropped. The duplicate's password is not carried over,
+ * since whoever registered a typo'd ID chose it; a kept account without one needs a setup code.
+ * Resolves to { moved, dropped } vote counts.
+ */
+const mergeUsers = async (from, into) => {
+    const first = await moveVotes(from.id, into.id);
+    await User.deleteOne({ id: from.id });
+    // Votes the duplicate cast while the first pass ran
+    const late = await moveVotes(from.id, into.id);
+    const dropped = [...first.dropped, ...late.dropped];
+
+    await VoteChange.updateMany({ userId: from.id }, { userId: into.id });
+    await PushSubscription.updateMany({ userId: from.id }, { userId: into.id });
+    await Reminder.deleteMany({ userId: from.id });
+    await EmailJob.deleteMany({ userId: from.id, status: 'PENDING' });
+
+    const changes = {};
+    if (!into.reminders.email && from.reminders.email) {
+        changes['reminders.email'] = from.reminders.email;
+        changes.reminderToken = into.reminderToken || from.reminderToken;
+    }
+    // Usual preferences for options the kept account has none for
+    (from.preferences || new Map()).forEach((values, option) => {
+        if (!into.preferences || !into.preferences.has(option)) changes[`preferences.${option}`] = Object.fromEntries(values);
+    });
+    // Counted as eligible from whichever account registered first
+    if (from.createdAt < into.createdAt) changes.createdAt = from.createdAt;
+
+    await User.updateOne({ id: into.id }, changes);
+    await Session.recountVotes({ id: { $in: dropped } });
+    return { moved: first.moved + late.moved, dropped: dropped.length };
+};
+
+module.exports = {
+    parseRoster,
+    importRoster,
+    deactivateUsers,
+    reactivateUsers,
+    mergeUsers
+};
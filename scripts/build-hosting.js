@@ -0,0 +1,25 @@
+/**
+ * Open Eyes Vote - Hosting Build
+ * Copies the front-end into public/ for Firebase Hosting, switched to the Firestore adapter
+ *
+ * Usage: npm run build
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT = path.join(ROOT, 'public');
+const FILES = ['index.html', 'styles.css', 'config.js', 'tally.js', 'app.js', 'storage'];
+
+fs.rmSync(OUT, { recursive: true, force: true });
+fs.mkdirSync(OUT);
+FILES.forEach(file => fs.cpSync(path.join(ROOT, file), path.join(OUT, file), { recursive: true }));
+
+// Every device loads the hosted build, so it needs the shared backend
+fs.appendFileSync(
+    path.join(OUT, 'config.js'),
+    "\n// Added by npm run build for Firebase Hosting\nAPP_CONFIG.storage = 'firestore';\n"
+);
+
+console.log(`✅ Built ${FILES.join(', ')} into public/`);
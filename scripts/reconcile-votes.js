@@ -0,0 +1,56 @@
+/**
+ * Open Eyes Vote - Vote Reconciliation
+ * Recounts Session.totalVotes from the votes collection and reports duplicate ballots
+ *
+ * Usage: npm run reconcile [-- --dedupe]
+ *   --dedupe  keep each user's earliest vote per session and delete the rest,
+ *             then build the unique { sessionId, userId } index
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { MONGO_URI, Vote, Session } = require('../models');
+
+const dedupe = process.argv.includes('--dedupe');
+
+// Votes that slipped past the old read-then-write check; the unique index can't build while these exist
+const findDuplicateVotes = () => Vote.aggregate([
+    { $sort: { timestamp: 1 } },
+    { $group: { _id: { sessionId: '$sessionId', userId: '$userId' }, ids: { $push: '$id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+]);
+
+const run = async () => {
+    // Index builds are done explicitly below, after duplicates are gone
+    await mongoose.connect(MONGO_URI, { autoIndex: false });
+
+    const duplicates = await findDuplicateVotes();
+    if (duplicates.length > 0) {
+        console.log(`⚠️  ${duplicates.length} user(s) voted more than once in a session`);
+        duplicates.forEach(d => console.log(`   session ${d._id.sessionId}, user ${d._id.userId}: ${d.count} votes`));
+
+        if (dedupe) {
+            const extra = duplicates.flatMap(d => d.ids.slice(1));
+            const { deletedCount } = await Vote.deleteMany({ id: { $in: extra } });
+            console.log(`🧹 Deleted ${deletedCount} duplicate vote(s)`);
+        } else {
+            console.log('   Re-run with --dedupe to keep only the earliest vote of each');
+        }
+    }
+
+    const drifted = await Session.recountVotes();
+    drifted.forEach(s => console.log(`   session ${s.id}: totalVotes ${s.was} → ${s.now}`));
+    console.log(`✅ Recounted votes; ${drifted.length} session(s) corrected`);
+
+    if (duplicates.length === 0 || dedupe) {
+        await Vote.syncIndexes();
+        console.log('✅ Vote indexes in place');
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('❌ Reconciliation failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -6,17 +6,37 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const cronParser = require('cron-parser');
 require('dotenv').config();
+const {
+    MONGO_URI, DEFAULT_SESSION_MINUTES, MAX_SESSION_MINUTES, POLL_TYPES, ballotChoices, countedChoices,
+    User, Vote, VoteChange, Session, Option, Schedule,
+    Subscriber, EmailJob, Webhook, WebhookDelivery, PushSubscription, Reminder,
+    SheetSettings, SheetSyncJob
+} = require('./models');
+const { escapeHtml, queueEmailsTo, queueEmails, deliverDueEmails } = require('./email');
+const { WEBHOOK_FORMATS, createSecret, queueWebhooks, deliverDueWebhooks } = require('./webhooks');
+const { VAPID_PUBLIC_KEY, pushSession, pushReminder } = require('./push');
+const { EXPORT_FORMATS, sessionReport, voteReport, sendSpreadsheet } = require('./export');
+const { SETTINGS_ID, getSheetsClient, queueSheetSync, deliverDueSheetSyncs } = require('./sheets');
+const { RESTORE_MODES, createBackup, validateArchive, restoreBackup } = require('./backup');
+const { parseRoster, importRoster, deactivateUsers, reactivateUsers, mergeUsers } = require('./roster');
+const { sessionResults } = require('./results');
+const { sessionPrep } = require('./prep');
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Backups outgrow the default 100kb body limit
+app.use('/api/admin/restore', express.json({ limit: process.env.RESTORE_MAX_SIZE || '50mb' }));
+app.use('/api/users/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // MongoDB Connection
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/brewvote';
-
 mongoose.connect(MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
@@ -27,37 +47,452 @@ mongoose.connect(MONGO_URI, {
     process.exit(1);
 });
 
-// ===== SCHEMAS =====
-
-const userSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    name: String,
-    employeeId: { type: String, unique: true, required: true },
-    role: { type: String, enum: ['EMPLOYEE', 'ADMIN'], required: true },
-    createdAt: { type: Date, default: Date.now }
+// Fails on databases that already hold duplicate votes; `npm run reconcile -- --dedupe` clears them
+Vote.on('index', err => {
+    if (err) console.error('❌ Vote index build failed:', err.message);
 });
 
-const voteSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    sessionId: { type: String, required: true },
-    userId: { type: String, required: true },
-    userName: String,
-    type: { type: String, enum: ['COFFEE', 'TEA'], required: true },
-    timestamp: { type: Date, default: Date.now }
-});
+// Auth Config
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const MIN_PASSWORD_LENGTH = 6;
+// 'open' lets anyone register with a new employee ID; 'roster' only lets in the IDs admins have added
+const REGISTRATION = process.env.REGISTRATION === 'open' ? 'open' : 'roster';
+// Admin-issued codes that let an employee set (or reset) their password once
+const SETUP_CODE_TTL_MS = 72 * 60 * 60 * 1000;
 
-const sessionSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    startTime: { type: Date, required: true },
-    endTime: Date,
-    isActive: { type: Boolean, default: true },
-    totalVotes: { type: Number, default: 0 },
-    createdAt: { type: Date, default: Date.now }
-});
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET not set; using a random secret, sessions will not survive a restart');
+}
+
+// Session Config
+const SESSION_SWEEP_INTERVAL_MS = 15 * 1000;
+const SCHEDULE_TICK_INTERVAL_MS = 30 * 1000;
+const EVENT_HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const OUTBOX_DELIVERY_INTERVAL_MS = 10 * 1000; // Emails, webhook posts and spreadsheet syncs
+const CLOSING_NOTICE_MS = 2 * 60 * 1000; // "Closing in 2 minutes" reminder
+const REMINDER_CAP = Number(process.env.REMINDER_CAP) || 2; // Pending-voter reminders per person per session
+const AUTO_REMIND_MINUTES = Number(process.env.AUTO_REMIND_MINUTES) || 0; // Default automatic reminder; 0 is off
+
+// Poll Config
+const MAX_POLL_OPTIONS = 20;
+const MAX_QUESTION_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+// Colors handed out to one-off poll options that don't pick their own
+const POLL_OPTION_COLORS = ['#2563eb', '#dc2626', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#ea580c', '#4b5563'];
+
+// Preference Config
+const MAX_MODIFIERS = 10;
+const MAX_MODIFIER_CHOICES = 20;
+const MAX_PREFERENCE_LENGTH = 200; // Free-text answers such as notes
+
+// Menu seeded on first run so existing COFFEE/TEA votes keep resolving
+const DEFAULT_OPTIONS = [
+    {
+        key: 'COFFEE', label: 'Coffee', color: '#d97706', icon: 'coffee', order: 0,
+        recipe: {
+            servingsPerVote: 1,
+            servingUnit: 'cup',
+            ingredients: [
+                { name: 'Coffee beans', amount: 15, unit: 'g' },
+                { name: 'Milk', amount: 30, unit: 'ml' },
+                { name: 'Sugar', amount: 5, unit: 'g' }
+            ]
+        },
+        modifiers: [
+            { key: 'SIZE', label: 'Size', choices: ['Small', 'Regular', 'Large'] },
+            { key: 'MILK', label: 'Milk', choices: ['None', 'Dairy', 'Oat'] },
+            { key: 'SUGAR', label: 'Sugar', choices: ['None', '1', '2'] },
+            { key: 'NOTE', label: 'Note', choices: [] }
+        ]
+    },
+    {
+        key: 'TEA', label: 'Tea', color: '#059669', icon: 'glass-water', order: 1,
+        recipe: {
+            servingsPerVote: 1,
+            servingUnit: 'cup',
+            ingredients: [
+                { name: 'Tea bags', amount: 1, unit: '' },
+                { name: 'Milk', amount: 20, unit: 'ml' },
+                { name: 'Sugar', amount: 5, unit: 'g' }
+            ]
+        },
+        modifiers: [
+            { key: 'MILK', label: 'Milk', choices: ['None', 'Dairy', 'Oat'] },
+            { key: 'SUGAR', label: 'Sugar', choices: ['None', '1', '2'] },
+            { key: 'NOTE', label: 'Note', choices: [] }
+        ]
+    }
+];
+
+// ===== HELPERS =====
+
+const scrypt = promisify(crypto.scrypt);
+
+// MongoDB reports unique index violations with code 11000
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+// Stored as "salt:hash" so each password gets its own salt
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, 64);
+    return `${salt}:${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    if (!password || !stored) return false;
+    const [salt, hash] = stored.split(':');
+    const key = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash || '', 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+};
+
+const issueToken = (user) => jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+// ===== AUTH MIDDLEWARE =====
+
+// Resolves the caller from the Bearer token into req.user (401 if missing or invalid)
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    let token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    // EventSource can't set headers, so the event stream passes the token in the query string
+    if (!token && req.path === '/events') {
+        token = req.query.token;
+    }
+
+    if (!token) {
+        return res.status(401).json({ error: 'Please log in' });
+    }
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        const user = await User.findOne({ id: payload.sub });
+        if (!user) {
+            return res.status(401).json({ error: 'Account no longer exists' });
+        }
+        if (user.isActive === false) {
+            return res.status(401).json({ error: 'This account has been deactivated' });
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+};
+
+// Restricts a route to the given roles (403 otherwise); runs after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `${roles.join(' or ')} access required` });
+    }
+    next();
+};
+
+const requireAdmin = requireRole('ADMIN');
+
+// ===== EVENT STREAM =====
+
+// Connected Server-Sent Events clients: { res, user }
+const eventClients = new Set();
+
+const everyone = () => true;
+const adminsOr = (userId) => (user) => user.role === 'ADMIN' || user.id === userId;
+
+// Sends an event to every connected client the audience filter accepts
+const publish = (type, data, audience = everyone) => {
+    const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(client => {
+        if (audience(client.user)) client.res.write(payload);
+    });
+};
+
+// ===== SESSION HELPERS =====
+
+// Emails subscribers, posts to chat webhooks and pushes to browsers about a session, and writes
+// ended sessions to Google Sheets; failures are logged, never passed on to the request
+const notifySession = async (type, session) => {
+    try {
+        const options = await sessionOptions(session);
+        const tally = await tallyVotes({ sessionId: session.id });
+        // The winner of a ranked poll takes the runoff, not just the first choices
+        const results = type === 'session.ended' ? await sessionResults(session) : undefined;
+        const prep = type === 'session.ended' ? await sessionPrep(session) : undefined;
+        const data = { session, options, ...tally, results, prep };
+        // Only the results are still worth sending once voting has closed
+        const queued = { sessionId: session.id, expiresAt: type === 'session.ended' ? undefined : session.closesAt };
+
+        await Promise.all([
+            queueEmails(type, data, queued).catch(err => console.error(`Email ${type} error:`, err)),
+            queueWebhooks(type, data, queued).catch(err => console.error(`Webhook ${type} error:`, err)),
+            pushSession(type, data).catch(err => console.error(`Push ${type} error:`, err)),
+            type === 'session.ended' && queueSheetSync(session.id).catch(err => console.error('Sheets sync error:', err))
+        ]);
+    } catch (err) {
+        console.error(`Notify ${type} error:`, err);
+    }
+};
+
+// Tells live clients and every notification channel that a session opened or closed
+const announce = (type, session) => {
+    publish(type, session);
+    notifySession(type, session);
+};
+
+// Closes the session if it's still open and announces it; resolves to the closed session, or null if
+// something else (an admin, the sweeper or another server instance) closed it first and announced it
+const closeSession = async (id, endTime) => {
+    const session = await Session.findOneAndUpdate({ id, isActive: true }, { isActive: false, endTime }, { new: true });
+    if (!session) return null;
+
+    // Settle the count once voting is over, and announce the settled count
+    await Session.recountVotes({ id });
+    const settled = await Session.findOne({ id });
+    announce('session.ended', settled);
+    return settled;
+};
+
+const menuOptions = () => Option.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+
+const toPollOption = ({ key, label, color, icon }) => ({ key, label, color, icon });
+
+// What a session's voters choose from; sessions from before polls offered whatever is on the menu
+const sessionOptions = async (session) => (session.options && session.options.length
+    ? session.options
+    : menuOptions());
+
+// Opens a new session, closing any that are still running. Without a question and options it's a
+// single-choice vote on the active menu.
+const openSession = async ({
+    durationMinutes, remindBeforeMinutes = AUTO_REMIND_MINUTES, isAnonymous = false,
+    question, description, pollType = 'SINGLE', options,
+    createdBy, scheduleId, startTime = new Date()
+}) => {
+    if (!options) options = (await menuOptions()).map(toPollOption);
+
+    const endTime = new Date();
+    const running = await Session.find({ isActive: true }, { id: 1 });
+    for (const s of running) await closeSession(s.id, endTime);
+
+    const session = await Session.create({
+        id: crypto.randomUUID(),
+        startTime,
+        isActive: true,
+        totalVotes: 0,
+        durationMinutes,
+        closesAt: new Date(startTime.getTime() + durationMinutes * 60 * 1000),
+        // A reminder as long before closing as the session lasts would go out at the start
+        remindBeforeMinutes: remindBeforeMinutes < durationMinutes ? remindBeforeMinutes : 0,
+        isAnonymous,
+        question,
+        description,
+        pollType,
+        options,
+        createdBy,
+        scheduleId
+    });
+    announce('session.started', session);
+    return session;
+};
+
+// Nudges employees who haven't voted on each channel they've set up: their reminder email and their
+// subscribed browsers. Nobody is reminded more than REMINDER_CAP times per session; people without any
+// channel are skipped and don't use up their cap. The chat webhooks only get how many are still pending,
+// since a shared channel would tell everyone who hasn't voted.
+const remindPending = async (session) => {
+    const voted = await Vote.distinct('userId', { sessionId: session.id });
+    const pending = await User.find({ role: 'EMPLOYEE', isActive: { $ne: false }, id: { $nin: voted } });
+    const pushUserIds = new Set(await PushSubscription.distinct('userId', { userId: { $in: pending.map(u => u.id) } }));
+    const reachable = pending.filter(u => u.reminders.email || pushUserIds.has(u.id));
+
+    // Claim a reminder per person; once they're at the cap the filter misses and the upsert hits the unique index
+    const due = [];
+    for (const user of reachable) {
+        try {
+            await Reminder.findOneAndUpdate(
+                { sessionId: session.id, userId: user.id, count: { $lt: REMINDER_CAP } },
+                { $inc: { count: 1 }, lastSentAt: new Date() },
+                { upsert: true }
+            );
+            due.push(user);
+        } catch (err) {
+            if (!isDuplicateKeyError(err)) throw err;
+        }
+    }
+
+    const data = { session, pending: pending.length };
+    const queued = { sessionId: session.id, expiresAt: session.closesAt };
+    const emails = due.filter(u => u.reminders.email).map(u => ({
+        to: u.reminders.email,
+        unsubscribeToken: u.reminderToken,
+        userId: u.id,
+        reason: "you asked to be reminded when you haven't voted"
+    }));
+
+    await Promise.all([
+        queueEmailsTo(emails, 'session.reminder', data, queued).catch(err => console.error('Reminder email error:', err)),
+        (pending.length ? queueWebhooks('session.reminder', data, queued) : Promise.resolve())
+            .catch(err => console.error('Reminder webhook error:', err)),
+        pushReminder(data, due.filter(u => pushUserIds.has(u.id)).map(u => u.id)).catch(err => console.error('Reminder push error:', err))
+    ]);
+
+    return {
+        pending: pending.length,
+        reminded: due.length,
+        capped: reachable.length - due.length,
+        unreachable: pending.length - reachable.length
+    };
+};
+
+// "YYYY-MM-DD" for a moment as seen in the given timezone
+const toLocalDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(date);
+
+const validateScheduleFields = ({ rule, timezone, skipDates }) => {
+    if (rule !== undefined) {
+        try {
+            cronParser.parseExpression(rule);
+        } catch (err) {
+            return `Invalid schedule rule: ${err.message}`;
+        }
+    }
+    if (timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (err) {
+            return `Unknown timezone "${timezone}"`;
+        }
+    }
+    if (skipDates !== undefined && (!Array.isArray(skipDates) || skipDates.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d)))) {
+        return 'Skipped dates must be YYYY-MM-DD';
+    }
+    return null;
+};
+
+const nextRuns = (schedule, from, count) => {
+    const interval = cronParser.parseExpression(schedule.rule, { currentDate: from, tz: schedule.timezone });
+    const runs = [];
+    for (let i = 0; i < count; i++) {
+        const runAt = interval.next().toDate();
+        runs.push({
+            scheduleId: schedule.id,
+            name: schedule.name,
+            runAt,
+            closesAt: new Date(runAt.getTime() + schedule.durationMinutes * 60 * 1000),
+            skipped: schedule.skipDates.includes(toLocalDate(runAt, schedule.timezone))
+        });
+    }
+    return runs;
+};
+
+// "Hot Chocolate" -> "HOT_CHOCOLATE"
+const toOptionKey = (label) => label.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const validatePollFields = ({ question, description, pollType }) => {
+    if (question !== undefined && (typeof question !== 'string' || question.length > MAX_QUESTION_LENGTH)) {
+        return `Question must be text of at most ${MAX_QUESTION_LENGTH} characters`;
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    if (pollType !== undefined && !POLL_TYPES.includes(pollType)) {
+        return `Poll type must be one of ${POLL_TYPES.join(', ')}`;
+    }
+    return null;
+};
+
+// A poll's options from the start form: menu option keys, or { label, color, icon } for one-off
+// choices such as lunch places. Returns [error] or [null, options].
+const resolvePollOptions = async (requested) => {
+    if (!Array.isArray(requested)) return ['Options must be a list'];
+    const menu = await menuOptions();
+    const options = [];
+    for (const item of requested) {
+        let option;
+        if (typeof item === 'string') {
+            const onMenu = menu.find(o => o.key === item);
+            if (!onMenu) return [`"${item}" isn't an active menu option`];
+            option = toPollOption(onMenu);
+        } else if (item && typeof item.label === 'string' && toOptionKey(item.label)) {
+            if (item.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(item.color)) {
+                return [`Color of "${item.label}" must look like #1a2b3c`];
+            }
+            option = {
+                key: toOptionKey(item.label),
+                label: item.label.trim(),
+                color: item.color || POLL_OPTION_COLORS[options.length % POLL_OPTION_COLORS.length],
+                icon: item.icon || 'circle'
+            };
+        } else {
+            return ['Each option needs a label'];
+        }
+        if (options.some(o => o.key === option.key)) {
+            return [`"${option.label}" is listed twice`];
+        }
+        options.push(option);
+    }
+    if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        return [`A poll needs between 2 and ${MAX_POLL_OPTIONS} options`];
+    }
+    return [null, options];
+};
+
+// An option's modifiers from the option form: { label, choices } each, such as
+// { label: 'Milk', choices: ['None', 'Dairy', 'Oat'] }, or free text without choices.
+// Returns [error] or [null, modifiers].
+const resolveModifiers = (requested) => {
+    if (!Array.isArray(requested)) return ['Modifiers must be a list'];
+    if (requested.length > MAX_MODIFIERS) {
+        return [`An option can ask at most ${MAX_MODIFIERS} things`];
+    }
+    const modifiers = [];
+    for (const item of requested) {
+        if (!item || typeof item.label !== 'string' || !toOptionKey(item.label)) {
+            return ['Each modifier needs a label'];
+        }
+        const choices = item.choices === undefined ? [] : item.choices;
+        if (!Array.isArray(choices) || choices.some(c => typeof c !== 'string' || !c.trim())) {
+            return [`Choices for "${item.label}" must be a list of text`];
+        }
+        if (choices.length > MAX_MODIFIER_CHOICES) {
+            return [`"${item.label}" can have at most ${MAX_MODIFIER_CHOICES} choices`];
+        }
+        const modifier = { key: toOptionKey(item.label), label: item.label.trim(), choices: [...new Set(choices.map(c => c.trim()))] };
+        if (modifiers.some(m => m.key === modifier.key)) {
+            return [`"${modifier.label}" is listed twice`];
+        }
+        modifiers.push(modifier);
+    }
+    return [null, modifiers];
+};
 
-const User = mongoose.model('User', userSchema);
-const Vote = mongoose.model('Vote', voteSchema);
-const Session = mongoose.model('Session', sessionSchema);
+// Answers to a menu option's modifiers, by modifier key; blank answers are left out. An answer must be
+// one of the modifier's choices, or short text when it has none. Returns [error] or [null, preferences].
+const resolvePreferences = async (key, requested) => {
+    if (requested === undefined || requested === null) return [null, {}];
+    if (typeof requested !== 'object' || Array.isArray(requested)) {
+        return ['Preferences must be an object'];
+    }
+    const option = await Option.findOne({ key }, { modifiers: 1 });
+    const modifiers = option ? option.modifiers : [];
+    const preferences = {};
+    for (const [name, value] of Object.entries(requested)) {
+        const modifier = modifiers.find(m => m.key === name);
+        if (!modifier) {
+            return [`"${name}" isn't asked for this option`];
+        }
+        const answer = typeof value === 'string' ? value.trim() : null;
+        if (answer === null || answer.length > MAX_PREFERENCE_LENGTH) {
+            return [`${modifier.label} must be text of at most ${MAX_PREFERENCE_LENGTH} characters`];
+        }
+        if (answer && modifier.choices.length && !modifier.choices.includes(answer)) {
+            return [`${modifier.label} must be one of ${modifier.choices.join(', ')}`];
+        }
+        if (answer) preferences[name] = answer;
+    }
+    return [null, preferences];
+};
 
 // ===== ROUTES =====
 
@@ -65,14 +500,33 @@ const Session = mongoose.model('Session', sessionSchema);
 app.post('/api/init', async (req, res) => {
     try {
         const adminExists = await User.findOne({ employeeId: 'ADM001' });
-        if (!adminExists) {
-            await User.create({
-                id: 'admin-1',
-                name: 'Event Manager',
-                employeeId: 'ADM001',
-                role: 'ADMIN'
-            });
+        if (!adminExists || !adminExists.passwordHash) {
+            // Without ADMIN_PASSWORD, generate one and print it once so the install isn't left open
+            let password = process.env.ADMIN_PASSWORD;
+            if (!password) {
+                password = crypto.randomBytes(9).toString('base64url');
+                console.log(`🔑 Admin ADM001 password: ${password} (set ADMIN_PASSWORD to choose your own)`);
+            }
+
+            if (adminExists) {
+                adminExists.passwordHash = await hashPassword(password);
+                await adminExists.save();
+            } else {
+                await User.create({
+                    id: 'admin-1',
+                    name: 'Event Manager',
+                    employeeId: 'ADM001',
+                    role: 'ADMIN',
+                    passwordHash: await hashPassword(password)
+                });
+            }
+        }
+
+        const optionCount = await Option.countDocuments();
+        if (optionCount === 0) {
+            await Option.insertMany(DEFAULT_OPTIONS.map(o => ({ id: crypto.randomUUID(), ...o })));
         }
+
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -83,40 +537,207 @@ app.post('/api/init', async (req, res) => {
 
 app.post('/api/auth/login', async (req, res) => {
     try {
-        const { employeeId, name, role } = req.body;
+        const { employeeId, name, password, role, setupCode } = req.body;
 
-        if (!employeeId) {
-            return res.status(400).json({ error: 'Employee ID required' });
+        if (!employeeId || !password) {
+            return res.status(400).json({ error: 'Employee ID and password required' });
         }
 
         if (role === 'ADMIN') {
             // Admin login
             const admin = await User.findOne({ employeeId, role: 'ADMIN' });
-            if (!admin) {
+            if (!admin || !(await verifyPassword(password, admin.passwordHash))) {
                 return res.status(401).json({ error: 'Invalid admin credentials' });
             }
-            return res.json(admin);
+            return res.json({ token: issueToken(admin), user: admin });
         } else {
             // Employee login/register
             let user = await User.findOne({ employeeId, role: 'EMPLOYEE' });
 
-            if (!user && name) {
+            if (user && user.isActive === false) {
+                return res.status(401).json({ error: 'This employee ID has been deactivated' });
+            }
+            if (!user && REGISTRATION === 'roster') {
+                return res.status(401).json({ error: 'This employee ID is not on the roster. Ask an admin to add you.' });
+            }
+
+            if (setupCode) {
+                // Sets the password with a code from an admin; the code only works once
+                if (!user || !user.setupCodeHash || user.setupCodeExpiresAt < new Date()
+                    || !(await verifyPassword(setupCode, user.setupCodeHash))) {
+                    return res.status(401).json({ error: 'Invalid or expired setup code' });
+                }
+                if (password.length < MIN_PASSWORD_LENGTH) {
+                    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+                }
+
+                const { modifiedCount } = await User.updateOne(
+                    { id: user.id, setupCodeHash: user.setupCodeHash },
+                    { passwordHash: await hashPassword(password), $unset: { setupCodeHash: 1, setupCodeExpiresAt: 1 } }
+                );
+                if (modifiedCount === 0) {
+                    return res.status(401).json({ error: 'Invalid or expired setup code' });
+                }
+                user = await User.findOne({ id: user.id });
+            } else if (!user && name) {
+                if (password.length < MIN_PASSWORD_LENGTH) {
+                    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+                }
+
                 // Register new employee
                 const newUser = {
-                    id: require('crypto').randomUUID(),
+                    id: crypto.randomUUID(),
                     name,
                     employeeId,
-                    role: 'EMPLOYEE'
+                    role: 'EMPLOYEE',
+                    passwordHash: await hashPassword(password)
                 };
                 user = await User.create(newUser);
+            } else if (user && !user.passwordHash) {
+                // Rostered employees, and those registered before passwords existed
+                return res.status(401).json({ error: 'This account has no password yet. Ask an admin for a setup code.' });
+            } else if (user && !(await verifyPassword(password, user.passwordHash))) {
+                return res.status(401).json({ error: 'Invalid employee ID or password' });
             }
 
             if (!user) {
                 return res.status(401).json({ error: 'User not found. Please provide name for first login.' });
             }
 
-            return res.json(user);
+            return res.json({ token: issueToken(user), user });
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== UNSUBSCRIBE ROUTES =====
+
+// Linked from every email, so these work without logging in; the token identifies the subscriber,
+// or the employee whose reminder emails these are
+
+// { email, remove() } for whatever the token unsubscribes, or null
+const findUnsubscribeTarget = async (token) => {
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: token });
+    if (subscriber) {
+        return {
+            email: subscriber.email,
+            remove: async () => {
+                await Subscriber.deleteOne({ id: subscriber.id });
+                await EmailJob.deleteMany({ subscriberId: subscriber.id, status: 'PENDING' });
+            }
+        };
+    }
+
+    const user = await User.findOne({ reminderToken: token, 'reminders.email': { $nin: [null, ''] } });
+    if (user) {
+        return {
+            email: user.reminders.email,
+            remove: async () => {
+                await User.updateOne({ id: user.id }, { $unset: { 'reminders.email': 1 } });
+                await EmailJob.deleteMany({ userId: user.id, status: 'PENDING' });
+            }
+        };
+    }
+    return null;
+};
+
+const unsubscribePage = (message) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Open Eyes Vote</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 4rem auto; text-align: center; color: #1f2937;">
+${message}
+</body></html>`;
+
+// Only shows a button: mail scanners follow GET links, which must not unsubscribe anyone
+app.get('/api/unsubscribe/:token', async (req, res) => {
+    try {
+        const target = await findUnsubscribeTarget(req.params.token);
+        if (!target) {
+            return res.status(404).send(unsubscribePage('<p>This address is already unsubscribed.</p>'));
+        }
+        res.send(unsubscribePage(`<p>Stop sending Open Eyes Vote emails to <strong>${escapeHtml(target.email)}</strong>?</p>
+<form method="post"><button type="submit">Unsubscribe</button></form>`));
+    } catch (err) {
+        res.status(500).send(unsubscribePage('<p>Something went wrong, please try again later.</p>'));
+    }
+});
+
+// Also the List-Unsubscribe one-click target
+app.post('/api/unsubscribe/:token', async (req, res) => {
+    try {
+        const target = await findUnsubscribeTarget(req.params.token);
+        if (target) await target.remove();
+        res.send(unsubscribePage('<p>You have been unsubscribed.</p>'));
+    } catch (err) {
+        res.status(500).send(unsubscribePage('<p>Something went wrong, please try again later.</p>'));
+    }
+});
+
+// Everything below requires a signed session token
+app.use('/api', authenticate);
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!(await verifyPassword(currentPassword, req.user.passwordHash))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        req.user.passwordHash = await hashPassword(newPassword);
+        await req.user.save();
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The caller's own reminder channels; an empty value turns that channel off
+app.put('/api/auth/reminders', async (req, res) => {
+    try {
+        const email = (req.body.email || '').trim().toLowerCase();
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'Please enter a valid email' });
+        }
+
+        req.user.reminders = { email: email || undefined };
+        if (email && !req.user.reminderToken) {
+            req.user.reminderToken = crypto.randomBytes(24).toString('base64url');
+        }
+        await req.user.save();
+        res.json(req.user);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The caller's usual answers to one menu option's modifiers; no answers forgets them
+app.put('/api/auth/preferences', async (req, res) => {
+    try {
+        const { option } = req.body;
+        if (typeof option !== 'string' || !(await Option.exists({ key: option }))) {
+            return res.status(400).json({ error: 'Unknown option' });
+        }
+        const [invalid, preferences] = await resolvePreferences(option, req.body.preferences);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
+
+        if (Object.keys(preferences).length) {
+            req.user.set(`preferences.${option}`, preferences);
+        } else if (req.user.preferences) {
+            req.user.preferences.delete(option);
+        }
+        await req.user.save();
+        res.json(req.user);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -124,161 +745,1494 @@ app.post('/api/auth/login', async (req, res) => {
 
 // ===== USER ROUTES =====
 
-app.get('/api/users', async (req, res) => {
+// Employees' saved preferences stay private: matched against secret-ballot votes, they'd say who voted what
+const ADMIN_USER_FIELDS = { preferences: 0 };
+
+app.get('/api/users', requireAdmin, async (req, res) => {
     try {
-        const users = await User.find();
+        const users = await User.find({}, ADMIN_USER_FIELDS);
         res.json(users);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ===== SESSION ROUTES =====
+const validateUserFields = ({ employeeId, name, isActive }) => {
+    if (employeeId !== undefined && (typeof employeeId !== 'string' || !employeeId.trim())) {
+        return 'Employee ID required';
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return 'Name required';
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return 'isActive must be true or false';
+    }
+    return null;
+};
 
-app.get('/api/sessions', async (req, res) => {
+// Adds an employee to the roster; they set a password with a setup code from an admin
+app.post('/api/users', requireAdmin, async (req, res) => {
     try {
-        const sessions = await Session.find().sort({ createdAt: -1 });
-        res.json(sessions);
+        const { employeeId, name } = req.body;
+        const invalid = validateUserFields({ employeeId: employeeId || '', name: name || '' });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const user = await User.create({
+            id: crypto.randomUUID(),
+            employeeId: employeeId.trim(),
+            name: name.trim(),
+            role: 'EMPLOYEE'
+        });
+        res.json(user);
     } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ error: 'That employee ID is already taken' });
+        }
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api/sessions/active', async (req, res) => {
+// Body is { csv } with "Employee ID,Name" columns; ?dryRun=true previews, ?deactivateMissing=true
+// deactivates active employees the file doesn't list
+app.post('/api/users/import', requireAdmin, async (req, res) => {
     try {
-        // For non-admin users, never return an active session
-        if (req.query.userId) {
-            const user = await User.findOne({ id: req.query.userId });
-            if (!user || user.role !== 'ADMIN') {
-                return res.json(null);
-            }
+        if (typeof req.body.csv !== 'string') {
+            return res.status(400).json({ error: 'csv required' });
         }
-        
-        const session = await Session.findOne({ isActive: true });
-        res.json(session || null);
+        const dryRun = req.query.dryRun === 'true';
+        const { entries, errors } = parseRoster(req.body.csv);
+
+        const report = await importRoster(entries, { errors, dryRun, deactivateMissing: req.query.deactivateMissing === 'true' });
+        if (report.errors.length && !dryRun) {
+            return res.status(400).json({ error: 'Roster has errors; nothing was imported', ...report });
+        }
+        if (!dryRun) {
+            console.log(`👥 ${req.user.employeeId} imported a roster: ${report.created.length} added, ${report.deactivated.length} deactivated`);
+        }
+        res.json(report);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/sessions/start', async (req, res) => {
+// Renames, re-IDs, deactivates or reactivates an employee; deactivated employees keep their votes
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
     try {
-        // Check if user is admin
-        const user = await User.findOne({ id: req.query.userId });
-        if (!user || user.role !== 'ADMIN') {
-            return res.status(403).json({ error: 'Only admins can start sessions' });
+        const { employeeId, name, isActive } = req.body;
+        const invalid = validateUserFields({ employeeId, name, isActive });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
 
-        // Deactivate all active sessions
-        await Session.updateMany({ isActive: true }, { isActive: false });
+        const user = await User.findOne({ id: req.params.id, role: 'EMPLOYEE' });
+        if (!user) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
 
-        // Create new session
-        const newSession = {
-            id: require('crypto').randomUUID(),
-            startTime: new Date(),
-            isActive: true,
-            totalVotes: 0,
-            createdBy: user.id
-        };
+        const changes = {};
+        if (employeeId !== undefined) changes.employeeId = employeeId.trim();
+        if (name !== undefined) changes.name = name.trim();
+        await User.updateOne({ id: user.id }, changes);
 
-        const session = await Session.create(newSession);
-        res.json(session);
+        if (isActive === false && user.isActive !== false) await deactivateUsers([user.id]);
+        if (isActive === true && user.isActive === false) await reactivateUsers([user.id]);
+        res.json(await User.findOne({ id: user.id }, ADMIN_USER_FIELDS));
     } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ error: 'That employee ID is already taken' });
+        }
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/sessions/:id/end', async (req, res) => {
+// Folds a duplicate account (:id) into the employee to keep ({ intoId }) and deletes the duplicate
+app.post('/api/users/:id/merge', requireAdmin, async (req, res) => {
     try {
-        const session = await Session.findOneAndUpdate(
-            { id: req.params.id },
-            { isActive: false, endTime: new Date() },
-            { new: true }
-        );
-        res.json(session);
+        const { intoId } = req.body;
+        if (!intoId || intoId === req.params.id) {
+            return res.status(400).json({ error: 'Pick another employee to merge into' });
+        }
+
+        const [from, into] = await Promise.all([
+            User.findOne({ id: req.params.id, role: 'EMPLOYEE' }),
+            User.findOne({ id: intoId, role: 'EMPLOYEE' })
+        ]);
+        if (!from || !into) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+
+        const result = await mergeUsers(from, into);
+        console.log(`👥 ${req.user.employeeId} merged ${from.employeeId} into ${into.employeeId}`);
+        res.json({ user: await User.findOne({ id: into.id }, ADMIN_USER_FIELDS), ...result });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ===== VOTE ROUTES =====
+// A one-time code for the employee to set a password with, replacing any earlier code. Shown to the
+// admin only here; logging in with it replaces the employee's password, so it also resets forgotten ones.
+app.post('/api/users/:id/setup-code', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findOne({ id: req.params.id, role: 'EMPLOYEE' });
+        if (!user) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+        if (user.isActive === false) {
+            return res.status(400).json({ error: 'Reactivate this employee first' });
+        }
 
-app.get('/api/votes', async (req, res) => {
+        const code = crypto.randomBytes(6).toString('base64url');
+        const expiresAt = new Date(Date.now() + SETUP_CODE_TTL_MS);
+        await User.updateOne({ id: user.id }, { setupCodeHash: await hashPassword(code), setupCodeExpiresAt: expiresAt });
+        console.log(`🔑 ${req.user.employeeId} issued a setup code for ${user.employeeId}`);
+        res.json({ code, expiresAt });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== PUSH ROUTES =====
+
+app.get('/api/push/key', (req, res) => {
+    res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+// Saves this browser's subscription for the caller; a shared browser follows whoever subscribed last
+app.post('/api/push/subscriptions', async (req, res) => {
     try {
-        const votes = await Vote.find();
-        res.json(votes);
+        const { endpoint, keys } = req.body;
+        if (!endpoint || !endpoint.startsWith('https://') || !keys || !keys.p256dh || !keys.auth) {
+            return res.status(400).json({ error: 'Invalid push subscription' });
+        }
+
+        const subscription = await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            {
+                $set: { userId: req.user.id, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: req.get('User-Agent') },
+                $setOnInsert: { id: crypto.randomUUID() }
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+        res.json(subscription);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api/votes/session/:sessionId', async (req, res) => {
+app.delete('/api/push/subscriptions', async (req, res) => {
     try {
-        const votes = await Vote.find({ sessionId: req.params.sessionId });
-        res.json(votes);
+        if (!req.body.endpoint) {
+            return res.status(400).json({ error: 'Endpoint required' });
+        }
+        await PushSubscription.deleteOne({ endpoint: req.body.endpoint, userId: req.user.id });
+        res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/votes', async (req, res) => {
+// ===== SUBSCRIBER ROUTES =====
+
+// Email addresses that get session started, closing soon and results emails
+app.get('/api/subscribers', requireAdmin, async (req, res) => {
     try {
-        const { sessionId, userId, userName, type } = req.body;
+        const subscribers = await Subscriber.find().sort({ subscribedAt: 1 });
+        res.json(subscribers);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (!sessionId || !userId || !type) {
-            return res.status(400).json({ error: 'Missing required fields' });
+app.post('/api/subscribers', requireAdmin, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
         }
 
-        // Check if user already voted in this session
-        const existingVote = await Vote.findOne({ sessionId, userId });
-        if (existingVote) {
-            return res.status(400).json({ error: 'User already voted in this session' });
+        const subscriber = await Subscriber.create({
+            id: crypto.randomUUID(),
+            email,
+            unsubscribeToken: crypto.randomBytes(24).toString('base64url'),
+            addedBy: req.user.id
+        });
+        res.json(subscriber);
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ error: 'This email is already subscribed' });
         }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: 'Please enter a valid email' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const newVote = {
-            id: require('crypto').randomUUID(),
-            sessionId,
-            userId,
-            userName,
-            type,
-            timestamp: new Date()
-        };
+app.delete('/api/subscribers/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await Subscriber.deleteOne({ id: req.params.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Subscriber not found' });
+        }
+        await EmailJob.deleteMany({ subscriberId: req.params.id, status: 'PENDING' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const vote = await Vote.create(newVote);
+// ===== WEBHOOK ROUTES =====
 
-        // Update session total votes
-        await Session.findOneAndUpdate(
-            { id: sessionId },
-            { $inc: { totalVotes: 1 } }
-        );
+// Chat platforms only take https URLs; http is allowed for testing against a local receiver
+const isWebhookUrl = (url) => {
+    try {
+        return ['https:', 'http:'].includes(new URL(url).protocol);
+    } catch (err) {
+        return false;
+    }
+};
 
-        res.json(vote);
+const validateWebhookFields = ({ url, format }) => {
+    if (url !== undefined && !isWebhookUrl(url)) {
+        return 'Webhook URL must be an http(s) URL';
+    }
+    if (format !== undefined && !WEBHOOK_FORMATS.includes(format)) {
+        return `Format must be one of ${WEBHOOK_FORMATS.join(', ')}`;
+    }
+    return null;
+};
+
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: 1 });
+        res.json(webhooks);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ===== STATS ROUTES =====
+// Latest deliveries, newest first, optionally for one webhook
+app.get('/api/webhooks/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 20, 200);
+        const filter = req.query.webhookId ? { webhookId: req.query.webhookId } : {};
+        const deliveries = await WebhookDelivery.find(filter, { body: 0 }).sort({ createdAt: -1 }).limit(limit);
+        res.json(deliveries);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-app.get('/api/stats', async (req, res) => {
+// The response is the only time the signing secret is shown
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
     try {
-        const votes = await Vote.find();
-        const coffeeTotal = votes.filter(v => v.type === 'COFFEE').length;
-        const teaTotal = votes.filter(v => v.type === 'TEA').length;
+        const { name, url, format } = req.body;
+        if (!name || !url || !format) {
+            return res.status(400).json({ error: 'Webhook name, URL and format required' });
+        }
+        const invalid = validateWebhookFields({ url, format });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
 
-        res.json({
-            coffeeTotal,
-            teaTotal,
-            totalVotes: votes.length
+        const webhook = await Webhook.create({
+            id: crypto.randomUUID(),
+            name,
+            url,
+            format,
+            secret: createSecret(),
+            createdBy: req.user.id
         });
+        res.json({ ...webhook.toJSON(), secret: webhook.secret });
     } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
 
-// ===== START SERVER =====
+app.put('/api/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const update = {};
+        ['name', 'url', 'format', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) update[field] = req.body[field];
+        });
+
+        const invalid = validateWebhookFields(update);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const webhook = await Webhook.findOneAndUpdate(
+            { id: req.params.id },
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(webhook);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Replaces a lost or leaked signing secret; the new one is only shown in this response
+app.post('/api/webhooks/:id/secret', requireAdmin, async (req, res) => {
+    try {
+        const webhook = await Webhook.findOneAndUpdate(
+            { id: req.params.id },
+            { secret: createSecret() },
+            { new: true }
+        );
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Queues a test message; its outcome shows up in the delivery log
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+    try {
+        const [delivery] = await queueWebhooks('webhook.test', {}, { webhookId: req.params.id });
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(delivery);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The delivery log is kept; deliveries still waiting to go out are dropped
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await Webhook.deleteOne({ id: req.params.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await WebhookDelivery.deleteMany({ webhookId: req.params.id, status: 'PENDING' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== GOOGLE SHEETS ROUTES =====
+
+// Accepts the ID or the spreadsheet's full URL
+const parseSpreadsheetId = (value) => {
+    const match = String(value || '').match(/\/spreadsheets\/d\/([\w-]+)/);
+    return match ? match[1] : String(value || '').trim();
+};
+
+// Sheets rejects tab names over 100 characters
+const isTabName = (name) => name.length > 0 && name.length <= 100;
+
+// Settings (null until saved), who to share the spreadsheet with and the latest syncs
+app.get('/api/sheets', requireAdmin, async (req, res) => {
+    try {
+        const settings = await SheetSettings.findOne({ id: SETTINGS_ID });
+        const jobs = await SheetSyncJob.find().sort({ createdAt: -1 }).limit(Math.min(Number(req.query.limit) || 10, 100));
+
+        let account = null;
+        let clientError = null;
+        try {
+            account = await getSheetsClient().account();
+        } catch (err) {
+            clientError = err.message;
+        }
+        res.json({ settings, account, clientError, jobs });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Saving checks the service account can open the spreadsheet, unless sync is being turned off
+app.put('/api/sheets', requireAdmin, async (req, res) => {
+    try {
+        const spreadsheetId = parseSpreadsheetId(req.body.spreadsheetId);
+        const sessionsTab = (req.body.sessionsTab || 'Sessions').trim();
+        const votesTab = (req.body.votesTab || '').trim();
+        const timezone = req.body.timezone || 'UTC';
+        const isActive = req.body.isActive !== false;
+
+        if (!spreadsheetId) {
+            return res.status(400).json({ error: 'Spreadsheet ID required' });
+        }
+        if (!isTabName(sessionsTab) || (votesTab && !isTabName(votesTab))) {
+            return res.status(400).json({ error: 'Tab names must be 1 to 100 characters' });
+        }
+        if (votesTab === sessionsTab) {
+            return res.status(400).json({ error: 'Sessions and votes need different tabs' });
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (err) {
+            return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+        }
+
+        let title = null;
+        if (isActive) {
+            try {
+                title = await getSheetsClient().getTitle(spreadsheetId);
+            } catch (err) {
+                return res.status(400).json({ error: `Can't open the spreadsheet: ${err.message}` });
+            }
+        }
+
+        const settings = await SheetSettings.findOneAndUpdate(
+            { id: SETTINGS_ID },
+            {
+                spreadsheetId,
+                sessionsTab,
+                votesTab: votesTab || undefined,
+                timezone,
+                isActive,
+                updatedBy: req.user.id,
+                updatedAt: new Date()
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        res.json({ settings, title });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Writes a closed session to the spreadsheet again, e.g. after a failed sync or to backfill older sessions
+app.post('/api/sheets/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (session.isActive) {
+            return res.status(409).json({ error: 'Sessions are written once they close' });
+        }
+
+        const job = await queueSheetSync(session.id);
+        if (!job) {
+            return res.status(409).json({ error: 'Google Sheets sync is turned off' });
+        }
+        res.json(job);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== OPTION ROUTES =====
+
+app.get('/api/options', async (req, res) => {
+    try {
+        const filter = req.query.active === 'true' ? { isActive: true } : {};
+        const options = await Option.find(filter).sort({ order: 1, createdAt: 1 });
+        res.json(options);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/options', requireAdmin, async (req, res) => {
+    try {
+        const { label, color, icon, recipe } = req.body;
+        if (!label || !toOptionKey(label)) {
+            return res.status(400).json({ error: 'Option label required' });
+        }
+        const [invalid, modifiers] = req.body.modifiers === undefined ? [null, []] : resolveModifiers(req.body.modifiers);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const key = toOptionKey(label);
+        if (await Option.findOne({ key })) {
+            return res.status(409).json({ error: `Option "${label}" already exists` });
+        }
+
+        const count = await Option.countDocuments();
+        const option = await Option.create({
+            id: crypto.randomUUID(),
+            key,
+            label: label.trim(),
+            color,
+            icon,
+            recipe,
+            modifiers,
+            isActive: true,
+            order: count
+        });
+        res.json(option);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/options/:id', requireAdmin, async (req, res) => {
+    try {
+        // The key is immutable so past votes keep pointing at the right option
+        const update = {};
+        ['label', 'color', 'icon', 'isActive', 'order', 'recipe'].forEach(field => {
+            if (req.body[field] !== undefined) update[field] = req.body[field];
+        });
+        if (req.body.modifiers !== undefined) {
+            const [invalid, modifiers] = resolveModifiers(req.body.modifiers);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            update.modifiers = modifiers;
+        }
+
+        const option = await Option.findOneAndUpdate(
+            { id: req.params.id },
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!option) {
+            return res.status(404).json({ error: 'Option not found' });
+        }
+        res.json(option);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/options/:id', requireAdmin, async (req, res) => {
+    try {
+        const option = await Option.findOne({ id: req.params.id });
+        if (!option) {
+            return res.status(404).json({ error: 'Option not found' });
+        }
+
+        // Options with history can only be retired, otherwise old tallies lose their label
+        const used = await Vote.exists({ $or: [{ type: option.key }, { choices: option.key }] });
+        if (used) {
+            return res.status(409).json({ error: 'Option has votes; deactivate it instead' });
+        }
+
+        await Option.deleteOne({ id: option.id });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== SESSION ROUTES =====
+
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const sessions = await Session.find().sort({ createdAt: -1 });
+        res.json(sessions);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/sessions/active', async (req, res) => {
+    try {
+        // Everyone needs the open session to vote; who may vote is checked in POST /api/votes
+        // Don't report a session the sweeper just hasn't reached yet
+        const session = await Session.findOne({ isActive: true, closesAt: { $gt: new Date() } });
+        res.json(session || null);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/sessions/start', requireAdmin, async (req, res) => {
+    try {
+        const durationMinutes = Number(req.body.durationMinutes) || DEFAULT_SESSION_MINUTES;
+        const { isAnonymous, description, pollType } = req.body;
+        const question = typeof req.body.question === 'string' ? req.body.question.trim() : req.body.question;
+        const remindBeforeMinutes = req.body.remindBeforeMinutes === undefined
+            ? AUTO_REMIND_MINUTES
+            : Number(req.body.remindBeforeMinutes);
+
+        if (durationMinutes < 1 || durationMinutes > MAX_SESSION_MINUTES) {
+            return res.status(400).json({ error: `Duration must be between 1 and ${MAX_SESSION_MINUTES} minutes` });
+        }
+        if (!(remindBeforeMinutes >= 0)) {
+            return res.status(400).json({ error: 'Reminder time must be a number of minutes' });
+        }
+        if (isAnonymous !== undefined && typeof isAnonymous !== 'boolean') {
+            return res.status(400).json({ error: 'isAnonymous must be true or false' });
+        }
+        const pollError = validatePollFields({ question, description, pollType });
+        if (pollError) {
+            return res.status(400).json({ error: pollError });
+        }
+        let options;
+        if (req.body.options !== undefined) {
+            const [optionsError, resolved] = await resolvePollOptions(req.body.options);
+            if (optionsError) {
+                return res.status(400).json({ error: optionsError });
+            }
+            options = resolved;
+        }
+
+        const session = await openSession({
+            durationMinutes, remindBeforeMinutes, isAnonymous,
+            question: question || undefined,
+            description: description ? description.trim() : undefined,
+            pollType,
+            options,
+            createdBy: req.user.id
+        });
+        res.json(session);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/sessions/:id/end', requireAdmin, async (req, res) => {
+    try {
+        const session = await closeSession(req.params.id, new Date());
+        if (!session) {
+            // Already closed (e.g. by the sweeper) is fine; unknown is not
+            const existing = await Session.findOne({ id: req.params.id });
+            if (!existing) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            return res.json(existing);
+        }
+        res.json(session);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reminds everyone who hasn't voted yet, within the per-session cap
+app.post('/api/sessions/:id/remind', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!isVotingOpen(session)) {
+            return res.status(409).json({ error: 'Voting has closed for this session' });
+        }
+        res.json(await remindPending(session));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Who won and how: plurality, approval or instant runoff round by round, depending on the poll type
+app.get('/api/sessions/:id/results', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ sessionId: session.id, ...(await sessionResults(session)) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// What to prepare for a session's votes, and for the turnout recent sessions suggest
+app.get('/api/sessions/:id/prep', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ sessionId: session.id, ...(await sessionPrep(session)) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Removes a finished session and its votes; the vote audit trail is kept
+app.delete('/api/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (session.isActive) {
+            return res.status(409).json({ error: 'End the session before deleting it' });
+        }
+
+        await Vote.deleteMany({ sessionId: session.id });
+        await Reminder.deleteMany({ sessionId: session.id });
+        await Session.deleteOne({ id: session.id });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== SCHEDULE ROUTES =====
+
+app.get('/api/schedules', requireAdmin, async (req, res) => {
+    try {
+        const schedules = await Schedule.find().sort({ createdAt: 1 });
+        res.json(schedules);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/schedules/upcoming', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 10, 50);
+        const schedules = await Schedule.find({ isActive: true });
+        const now = new Date();
+
+        const runs = schedules
+            .flatMap(schedule => nextRuns(schedule, now, limit))
+            .sort((a, b) => a.runAt - b.runAt)
+            .slice(0, limit);
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/schedules', requireAdmin, async (req, res) => {
+    try {
+        const { name, rule, timezone, durationMinutes, skipDates } = req.body;
+
+        if (!name || !rule) {
+            return res.status(400).json({ error: 'Schedule name and rule required' });
+        }
+        const invalid = validateScheduleFields({ rule, timezone, skipDates });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const schedule = await Schedule.create({
+            id: crypto.randomUUID(),
+            name,
+            rule,
+            timezone,
+            durationMinutes,
+            skipDates,
+            createdBy: req.user.id
+        });
+        res.json(schedule);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/schedules/:id', requireAdmin, async (req, res) => {
+    try {
+        const update = {};
+        ['name', 'rule', 'timezone', 'durationMinutes', 'skipDates', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) update[field] = req.body[field];
+        });
+
+        const invalid = validateScheduleFields(update);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const schedule = await Schedule.findOneAndUpdate(
+            { id: req.params.id },
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json(schedule);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/schedules/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await Schedule.deleteOne({ id: req.params.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== VOTE ROUTES =====
+
+// Employees only ever see their own votes; admins see everyone's
+const voteScope = (req) => (req.user.role === 'ADMIN' ? {} : { userId: req.user.id });
+
+const isVotingOpen = (session) => session && session.isActive && session.closesAt > new Date();
+
+// Why the user can't change or withdraw this vote right now, as [status, message], or null if they can
+const voteLockReason = async (vote, user) => {
+    if (!vote) return [404, 'Vote not found'];
+    if (vote.userId !== user.id) return [403, 'You can only change your own vote'];
+    const session = await Session.findOne({ id: vote.sessionId });
+    if (!isVotingOpen(session)) return [409, 'Voting has closed for this session'];
+    return null;
+};
+
+// Secret ballots: everyone but the voter only sees the choice. Preferences go too, as they could be
+// matched to the voter; admins see them only grouped in the prep plan.
+const hideVoter = (vote) => {
+    const { userId, userName, preferences, ...rest } = vote.toJSON ? vote.toJSON() : vote;
+    return rest;
+};
+
+// Strips the voter from votes in secret-ballot sessions
+const hideSecretVoters = async (votes) => {
+    const sessionIds = [...new Set(votes.map(v => v.sessionId))];
+    const secret = new Set(await Session.distinct('id', { id: { $in: sessionIds }, isAnonymous: true }));
+    return votes.map(v => (secret.has(v.sessionId) ? hideVoter(v) : v));
+};
+
+// Live vote events go to admins and the voter. In a secret ballot other admins only get the session's
+// new counts (session.tally), so single votes can't be traced back to whoever just voted.
+const publishVote = async (type, vote, session) => {
+    if (!session.isAnonymous) {
+        return publish(type, vote, adminsOr(vote.userId));
+    }
+    publish(type, vote, user => user.id === vote.userId);
+    const tally = await tallyVotes({ sessionId: session.id });
+    publish('session.tally', { sessionId: session.id, ...tally }, user => user.role === 'ADMIN' && user.id !== vote.userId);
+};
+
+// from and to are the choices before and after, or null for a cast or withdrawal
+const recordVoteChange = (vote, action, from, to) => VoteChange.create({
+    id: crypto.randomUUID(),
+    voteId: vote.id,
+    sessionId: vote.sessionId,
+    userId: vote.userId,
+    userName: vote.userName,
+    action,
+    fromType: from ? from[0] : null,
+    toType: to ? to[0] : null,
+    fromChoices: from || [],
+    toChoices: to || []
+});
+
+// A vote body's choices: { choices: [...] }, or { type } for a single choice
+const requestedChoices = ({ choices, type }) => {
+    if (choices !== undefined) return choices;
+    return type ? [type] : [];
+};
+
+// Returns what's wrong with the choices for this session's poll, or null
+const validateChoices = async (session, choices) => {
+    if (choices.some(key => typeof key !== 'string')) {
+        return 'Choices must be option keys';
+    }
+    if (session.pollType !== 'MULTIPLE' && session.pollType !== 'RANKED' && choices.length > 1) {
+        return 'This poll takes a single choice';
+    }
+    if (new Set(choices).size !== choices.length) {
+        return 'Each option can only be chosen once';
+    }
+    const options = await sessionOptions(session);
+    if (choices.some(key => !options.some(o => o.key === key))) {
+        return 'Unknown or inactive option';
+    }
+    return null;
+};
+
+const sameChoices = (a, b) => a.length === b.length && a.every((key, i) => key === b[i]);
+
+const samePreferences = (a, b) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+
+app.get('/api/votes', async (req, res) => {
+    try {
+        const votes = await Vote.find(voteScope(req));
+        res.json(req.user.role === 'ADMIN' ? await hideSecretVoters(votes) : votes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/votes/session/:sessionId', async (req, res) => {
+    try {
+        const votes = await Vote.find({ sessionId: req.params.sessionId, ...voteScope(req) });
+        res.json(req.user.role === 'ADMIN' ? await hideSecretVoters(votes) : votes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/votes', async (req, res) => {
+    try {
+        // Votes are always cast as the logged-in user
+        const { sessionId } = req.body;
+        const choices = requestedChoices(req.body);
+        const userId = req.user.id;
+        const userName = req.user.name;
+
+        if (!sessionId || !Array.isArray(choices) || choices.length === 0) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const session = await Session.findOne({ id: sessionId });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!isVotingOpen(session)) {
+            return res.status(409).json({ error: 'Voting has closed for this session' });
+        }
+
+        const invalid = await validateChoices(session, choices);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        const [badPreferences, preferences] = await resolvePreferences(choices[0], req.body.preferences);
+        if (badPreferences) {
+            return res.status(400).json({ error: badPreferences });
+        }
+
+        const newVote = {
+            id: crypto.randomUUID(),
+            sessionId,
+            userId,
+            userName: session.isAnonymous ? undefined : userName,
+            type: choices[0],
+            choices,
+            preferences,
+            timestamp: new Date()
+        };
+
+        // The unique { sessionId, userId } index rejects a second vote, even from a concurrent request
+        const vote = await Vote.create(newVote);
+
+        await Session.recountVotes({ id: sessionId });
+        // Secret ballots keep no audit trail; it would say who chose what
+        if (!session.isAnonymous) await recordVoteChange(vote, 'CAST', null, choices);
+
+        await publishVote('vote.cast', vote, session);
+        res.json(vote);
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ error: 'User already voted in this session' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/votes/:id', async (req, res) => {
+    try {
+        const choices = requestedChoices(req.body);
+        if (!Array.isArray(choices) || choices.length === 0) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const vote = await Vote.findOne({ id: req.params.id });
+        const locked = await voteLockReason(vote, req.user);
+        if (locked) {
+            return res.status(locked[0]).json({ error: locked[1] });
+        }
+        const session = await Session.findOne({ id: vote.sessionId });
+        const invalid = await validateChoices(session, choices);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        // Preferences are replaced along with the choices, as they answer the first choice's modifiers
+        const [badPreferences, preferences] = await resolvePreferences(choices[0], req.body.preferences);
+        if (badPreferences) {
+            return res.status(400).json({ error: badPreferences });
+        }
+        const previous = ballotChoices(vote);
+        if (sameChoices(previous, choices) && samePreferences(Object.fromEntries(vote.preferences || []), preferences)) {
+            return res.json(vote);
+        }
+
+        // Matching on the old choices keeps two concurrent changes from both being logged against them
+        const unchanged = vote.choices.length ? { type: vote.type, choices: vote.choices } : { type: vote.type };
+        const updated = await Vote.findOneAndUpdate(
+            { id: vote.id, ...unchanged },
+            { type: choices[0], choices, preferences, updatedAt: new Date() },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ error: 'Your vote was changed elsewhere; refresh and try again' });
+        }
+        if (!session.isAnonymous) await recordVoteChange(updated, 'CHANGED', previous, choices);
+
+        await publishVote('vote.changed', { ...updated.toJSON(), previousType: vote.type, previousChoices: previous }, session);
+        res.json(updated);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/votes/:id', async (req, res) => {
+    try {
+        const vote = await Vote.findOne({ id: req.params.id });
+        const locked = await voteLockReason(vote, req.user);
+        if (locked) {
+            return res.status(locked[0]).json({ error: locked[1] });
+        }
+
+        const removed = await Vote.findOneAndDelete({ id: vote.id });
+        if (!removed) {
+            return res.status(404).json({ error: 'Vote not found' });
+        }
+        await Session.recountVotes({ id: removed.sessionId });
+        const session = await Session.findOne({ id: removed.sessionId });
+        if (!session.isAnonymous) await recordVoteChange(removed, 'WITHDRAWN', ballotChoices(removed), null);
+
+        await publishVote('vote.withdrawn', removed, session);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Audit trail of casts, changes and withdrawals, oldest first
+app.get('/api/votes/changes', requireAdmin, async (req, res) => {
+    try {
+        const filter = req.query.sessionId ? { sessionId: req.query.sessionId } : {};
+        const changes = await VoteChange.find(filter).sort({ timestamp: 1 });
+        res.json(changes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== EVENT ROUTES =====
+
+// Live session.started, session.ended and vote.cast/changed/withdrawn events (employees only see their own votes)
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { res, user: req.user };
+    eventClients.add(client);
+    req.on('close', () => eventClients.delete(client));
+});
+
+// ===== STATS ROUTES =====
+
+// All stats are computed in MongoDB so the dashboard never downloads raw votes
+
+// Turns ?from=&to= into a filter on field (the vote timestamp by default), or null if either date is unparseable
+const dateRangeFilter = ({ from, to }, field = 'timestamp') => {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some(d => isNaN(d))) return null;
+    return Object.keys(range).length ? { [field]: range } : {};
+};
+
+// { totals: { COFFEE: 3, TEA: 2 }, totalVotes: 5 } for the votes matching the filter. Multiple-choice
+// votes count towards each of their choices, ranked votes towards their first choice; totalVotes
+// counts voters, so totals can add up to more in multiple-choice polls.
+const tallyVotes = async (match) => {
+    const [{ voters, tallies }] = await Vote.aggregate([
+        { $match: match },
+        { $lookup: { from: 'sessions', localField: 'sessionId', foreignField: 'id', as: 'session' } },
+        { $project: { choices: countedChoices({ $arrayElemAt: ['$session.pollType', 0] }) } },
+        {
+            $facet: {
+                voters: [{ $count: 'count' }],
+                tallies: [{ $unwind: '$choices' }, { $group: { _id: '$choices', count: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    const totals = {};
+    tallies.forEach(r => {
+        totals[r._id] = r.count;
+    });
+    return { totals, totalVotes: voters.length ? voters[0].count : 0 };
+};
+
+// Totals over a date range (all time by default)
+app.get('/api/stats', requireAdmin, async (req, res) => {
+    try {
+        const range = dateRangeFilter(req.query);
+        if (!range) {
+            return res.status(400).json({ error: 'from/to must be valid dates' });
+        }
+        res.json(await tallyVotes(range));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The last N sessions, newest first, each with its per-option totals (counted as in tallyVotes).
+// Ranked polls also carry their runoff results.
+app.get('/api/stats/sessions', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 7, 500);
+        const match = req.query.closed === 'true' ? { isActive: false } : {};
+
+        const sessions = await Session.aggregate([
+            { $match: match },
+            { $sort: { startTime: -1 } },
+            { $limit: limit },
+            {
+                $lookup: {
+                    from: 'votes',
+                    let: { sessionId: '$id', pollType: '$pollType' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$sessionId', '$$sessionId'] } } },
+                        { $project: { choices: countedChoices('$$pollType') } },
+                        {
+                            $facet: {
+                                voters: [{ $count: 'count' }],
+                                tallies: [{ $unwind: '$choices' }, { $group: { _id: '$choices', count: { $sum: 1 } } }]
+                            }
+                        }
+                    ],
+                    as: 'tally'
+                }
+            },
+            { $unwind: '$tally' },
+            {
+                $addFields: {
+                    totals: { $arrayToObject: { $map: { input: '$tally.tallies', in: { k: '$$this._id', v: '$$this.count' } } } },
+                    voteCount: { $sum: '$tally.voters.count' }
+                }
+            },
+            { $project: { _id: 0, __v: 0, tally: 0 } }
+        ]);
+
+        // Instant runoff needs whole ballots, so ranked polls also get their results from the tally engine
+        await Promise.all(sessions.filter(s => s.pollType === 'RANKED').map(async s => {
+            s.results = await sessionResults(s);
+        }));
+        res.json(sessions);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/stats/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const session = await Session.findOne({ id: req.params.id });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ sessionId: session.id, ...(await tallyVotes({ sessionId: session.id })) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Per-option counts and share over a date range, including options no longer on the menu
+app.get('/api/stats/options', requireAdmin, async (req, res) => {
+    try {
+        const range = dateRangeFilter(req.query);
+        if (!range) {
+            return res.status(400).json({ error: 'from/to must be valid dates' });
+        }
+
+        const { totals, totalVotes } = await tallyVotes(range);
+        const options = await Option.find().sort({ order: 1, createdAt: 1 });
+
+        const breakdown = options.map(o => ({ key: o.key, label: o.label, color: o.color, isActive: o.isActive }));
+        // Poll-only options (and retired ones) are labeled as the latest poll that offered them
+        const others = Object.keys(totals).filter(key => !options.some(o => o.key === key));
+        const polls = await Session.find({ 'options.key': { $in: others } }, { options: 1 }).sort({ startTime: 1 });
+        const pollOptions = new Map(polls.flatMap(s => s.options.map(o => [o.key, o])));
+        others.forEach(key => {
+            const option = pollOptions.get(key) || { label: key, color: null };
+            breakdown.push({ key, label: option.label, color: option.color, isActive: false });
+        });
+
+        res.json(breakdown.map(o => ({
+            ...o,
+            count: totals[o.key] || 0,
+            share: totalVotes ? (totals[o.key] || 0) / totalVotes : 0
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== EXPORT ROUTES =====
+
+// ?format=csv|xlsx&from=&to=&timezone= shared by the exports; returns [error] or [null, { format, timeZone, range }]
+const parseExportQuery = (query, field) => {
+    const format = query.format || 'csv';
+    const timeZone = query.timezone || 'UTC';
+    const range = dateRangeFilter(query, field);
+
+    if (!EXPORT_FORMATS.includes(format)) return [`Format must be one of ${EXPORT_FORMATS.join(', ')}`];
+    if (!range) return ['from/to must be valid dates'];
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (err) {
+        return [`Unknown timezone "${timeZone}"`];
+    }
+    return [null, { format, timeZone, range }];
+};
+
+// "brewvote-votes-2024-05-01-to-2024-05-31"; the day part is in UTC like the range itself
+const exportName = (kind, { from, to }) => {
+    const day = (value) => new Date(value).toISOString().slice(0, 10);
+    return ['brewvote', kind, from && `from-${day(from)}`, to && `to-${day(to)}`].filter(Boolean).join('-');
+};
+
+// One row per session started in the range: timing, per-option counts and turnout
+app.get('/api/export/sessions', requireAdmin, async (req, res) => {
+    try {
+        const [error, query] = parseExportQuery(req.query, 'startTime');
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { columns, rows } = await sessionReport(query.range);
+        await sendSpreadsheet(res, { ...query, name: exportName('sessions', req.query), sheetName: 'Sessions' }, columns, rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One row per vote cast in the range, oldest first
+app.get('/api/export/votes', requireAdmin, async (req, res) => {
+    try {
+        const [error, query] = parseExportQuery(req.query, 'timestamp');
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { columns, rows } = await voteReport(query.range);
+        await sendSpreadsheet(res, { ...query, name: exportName('votes', req.query), sheetName: 'Votes' }, columns, rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== BACKUP ROUTES =====
+
+// Everything needed to rebuild the voting data elsewhere, password hashes included
+app.get('/api/admin/backup', requireAdmin, async (req, res) => {
+    try {
+        const archive = await createBackup();
+        res.set('Content-Disposition', `attachment; filename="brewvote-backup-${archive.exportedAt.slice(0, 10)}.json"`);
+        res.json(archive);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The body is a backup archive; ?mode=merge|replace&dryRun=true. The admin restoring is never removed.
+app.post('/api/admin/restore', requireAdmin, async (req, res) => {
+    try {
+        const mode = req.query.mode || 'merge';
+        const dryRun = req.query.dryRun === 'true';
+
+        if (!RESTORE_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Mode must be one of ${RESTORE_MODES.join(', ')}` });
+        }
+        const invalid = validateArchive(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const report = await restoreBackup(req.body, { mode, dryRun, keepUserId: req.user.id });
+        if (report.errors.length && !dryRun) {
+            return res.status(400).json({ error: 'Backup has invalid records; nothing was restored', ...report });
+        }
+        if (!dryRun) {
+            console.log(`💾 ${req.user.employeeId} restored a backup (${mode})`);
+        }
+        res.json(report);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== SESSION SWEEPER =====
+
+// Closes sessions whose deadline has passed, whether or not an admin tab is open
+const closeExpiredSessions = async () => {
+    try {
+        // Sessions started before deadlines existed get the default duration
+        await Session.updateMany(
+            { isActive: true, closesAt: { $exists: false } },
+            [{ $set: { closesAt: { $add: ['$startTime', DEFAULT_SESSION_MINUTES * 60 * 1000] } } }]
+        );
+
+        const expired = await Session.find({ isActive: true, closesAt: { $lte: new Date() } }, { id: 1, closesAt: 1 });
+        let closed = 0;
+        for (const s of expired) {
+            if (await closeSession(s.id, s.closesAt)) closed++;
+        }
+        if (closed) console.log(`⏱️  Closed ${closed} expired session(s)`);
+    } catch (err) {
+        console.error('Session sweep error:', err);
+    }
+};
+
+// Queues the "closing in 2 minutes" reminder once per session; sessions too short for it to help are skipped
+const queueClosingNotices = async () => {
+    try {
+        const now = new Date();
+        const closing = await Session.find({
+            isActive: true,
+            closingNoticeSentAt: null,
+            durationMinutes: { $gt: CLOSING_NOTICE_MS / 60000 },
+            closesAt: { $gt: now, $lte: new Date(now.getTime() + CLOSING_NOTICE_MS) }
+        });
+
+        for (const session of closing) {
+            // Claim it so a second server instance doesn't send the notice too
+            const claimed = await Session.findOneAndUpdate(
+                { id: session.id, closingNoticeSentAt: null },
+                { closingNoticeSentAt: now }
+            );
+            if (claimed) await notifySession('session.closing', session);
+        }
+    } catch (err) {
+        console.error('Closing notice error:', err);
+    }
+};
+
+// Sends each session's automatic pending-voter reminder once its time comes
+const sendAutoReminders = async () => {
+    try {
+        const now = new Date();
+        const due = await Session.find({
+            isActive: true,
+            autoReminderSentAt: null,
+            remindBeforeMinutes: { $gt: 0 },
+            closesAt: { $gt: now },
+            $expr: { $lte: [{ $subtract: ['$closesAt', { $multiply: ['$remindBeforeMinutes', 60 * 1000] }] }, now] }
+        });
+
+        for (const session of due) {
+            // Claim it so a second server instance doesn't send it too
+            const claimed = await Session.findOneAndUpdate(
+                { id: session.id, autoReminderSentAt: null },
+                { autoReminderSentAt: now }
+            );
+            if (!claimed) continue;
+
+            const { reminded } = await remindPending(session);
+            console.log(`⏰ Reminded ${reminded} pending voter(s)`);
+        }
+    } catch (err) {
+        console.error('Auto reminder error:', err);
+    }
+};
+
+// Once a secret ballot has closed nobody can change their vote, so its votes no longer need their voter.
+// Each gets a random stand-in, after which not even the database says who chose what.
+const sealSecretBallots = async () => {
+    try {
+        const closed = await Session.find({ isAnonymous: true, isActive: false, ballotsSealedAt: null });
+
+        for (const session of closed) {
+            const votes = await Vote.find({ sessionId: session.id }, { id: 1 });
+            if (votes.length) {
+                await Vote.bulkWrite(votes.map(v => ({
+                    updateOne: { filter: { id: v.id }, update: { userId: `sealed-${crypto.randomUUID()}`, $unset: { userName: 1 } } }
+                })));
+            }
+            await Session.updateOne({ id: session.id }, { ballotsSealedAt: new Date() });
+        }
+    } catch (err) {
+        console.error('Ballot sealing error:', err);
+    }
+};
+
+// ===== SCHEDULE WORKER =====
+
+// Opens a session for each schedule whose latest occurrence hasn't been handled yet.
+// Closing is left to the session sweeper via the session's closesAt.
+const runDueSchedules = async () => {
+    const now = new Date();
+    let schedules = [];
+    try {
+        schedules = await Schedule.find({ isActive: true });
+    } catch (err) {
+        return console.error('Schedule worker error:', err);
+    }
+
+    for (const schedule of schedules) {
+        try {
+            const runAt = cronParser.parseExpression(schedule.rule, { currentDate: now, tz: schedule.timezone }).prev().toDate();
+            if (runAt <= (schedule.lastRunAt || schedule.createdAt)) continue;
+
+            // Claim the occurrence first so a second server instance can't open it too
+            const claimed = await Schedule.findOneAndUpdate(
+                { id: schedule.id, lastRunAt: schedule.lastRunAt || null },
+                { lastRunAt: runAt }
+            );
+            if (!claimed) continue;
+
+            const closesAt = new Date(runAt.getTime() + schedule.durationMinutes * 60 * 1000);
+            const runDate = toLocalDate(runAt, schedule.timezone);
+            if (schedule.skipDates.includes(runDate)) {
+                console.log(`📅 Skipped "${schedule.name}" on ${runDate}`);
+                continue;
+            }
+            if (closesAt <= now) {
+                // The server was down for the whole window; don't open a session that's already over
+                continue;
+            }
+            if (await Session.exists({ isActive: true })) {
+                console.log(`📅 Skipped "${schedule.name}"; a session is already running`);
+                continue;
+            }
+
+            await openSession({
+                durationMinutes: schedule.durationMinutes,
+                createdBy: schedule.createdBy,
+                scheduleId: schedule.id,
+                startTime: runAt
+            });
+            console.log(`📅 Opened scheduled session "${schedule.name}"`);
+        } catch (err) {
+            console.error(`Schedule "${schedule.name}" error:`, err);
+        }
+    }
+};
+
+// ===== START SERVER =====
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
+    closeExpiredSessions();
+    setInterval(closeExpiredSessions, SESSION_SWEEP_INTERVAL_MS);
+    setInterval(queueClosingNotices, SESSION_SWEEP_INTERVAL_MS);
+    setInterval(sendAutoReminders, SESSION_SWEEP_INTERVAL_MS);
+    setInterval(sealSecretBallots, SESSION_SWEEP_INTERVAL_MS);
+    runDueSchedules();
+    setInterval(runDueSchedules, SCHEDULE_TICK_INTERVAL_MS);
+    deliverDueEmails();
+    setInterval(deliverDueEmails, OUTBOX_DELIVERY_INTERVAL_MS);
+    deliverDueWebhooks();
+    setInterval(deliverDueWebhooks, OUTBOX_DELIVERY_INTERVAL_MS);
+    deliverDueSheetSyncs();
+    setInterval(deliverDueSheetSyncs, OUTBOX_DELIVERY_INTERVAL_MS);
+
+    // Comment lines keep idle event streams from being dropped by proxies
+    setInterval(() => eventClients.forEach(client => client.res.write(': ping\n\n')), EVENT_HEARTBEAT_INTERVAL_MS);
 });
@@ -0,0 +1,193 @@
+/**
+ * Open Eyes Vote - Google Sheets Sync
+ * Appends each ended session (and optionally its votes) to a spreadsheet shared with a service account
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { google } = require('googleapis');
+const { Session, SheetSettings, SheetSyncJob } = require('./models');
+const { createOutboxWorker } = require('./outbox');
+const { sessionReport, voteReport, escapeFormula, wallClock } = require('./export');
+const { sessionResults } = require('./results');
+
+// ===== CLIENTS =====
+
+/**
+ * A Sheets client is an object with
+ *   account() -> the identity to share spreadsheets with, or null
+ *   getTitle(spreadsheetId) -> the spreadsheet's title; throws if it can't be opened
+ *   appendRows(spreadsheetId, tab, header, rows) -> appends rows (arrays of cells) to the tab,
+ *     creating the tab and writing the header first if the tab is new or empty
+ * Errors with err.permanent set are not retried.
+ */
+const clients = {
+    // The Sheets API as the service account in GOOGLE_APPLICATION_CREDENTIALS (or the runtime's own)
+    google: () => {
+        const auth = new google.auth.GoogleAuth({ scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
+        const api = google.sheets({ version: 'v4', auth });
+
+        // Quotes a tab name for A1 notation, e.g. 'Raw votes'!A1
+        const a1 = (tab, range) => `'${tab.replace(/'/g, "''")}'!${range}`;
+
+        // 4xx other than 429 (bad ID, not shared, invalid range) won't go away by retrying
+        const call = async (request) => {
+            try {
+                return (await request()).data;
+            } catch (err) {
+                const status = err.response && err.response.status;
+                if (status && status < 500 && status !== 429) err.permanent = true;
+                throw err;
+            }
+        };
+
+        return {
+            account: async () => (await auth.getCredentials()).client_email || null,
+
+            getTitle: async (spreadsheetId) => {
+                const data = await call(() => api.spreadsheets.get({ spreadsheetId, fields: 'properties.title' }));
+                return data.properties.title;
+            },
+
+            appendRows: async (spreadsheetId, tab, header, rows) => {
+                const { sheets } = await call(() => api.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' }));
+                if (!sheets.some(s => s.properties.title === tab)) {
+                    await call(() => api.spreadsheets.batchUpdate({
+                        spreadsheetId,
+                        requestBody: { requests: [{ addSheet: { properties: { title: tab } } }] }
+                    }));
+                }
+
+                const { values } = await call(() => api.spreadsheets.values.get({ spreadsheetId, range: a1(tab, '1:1') }));
+                await call(() => api.spreadsheets.values.append({
+                    spreadsheetId,
+                    range: a1(tab, 'A1'),
+                    valueInputOption: 'USER_ENTERED', // So dates and numbers become typed cells
+                    insertDataOption: 'INSERT_ROWS',
+                    requestBody: { values: values && values.length ? rows : [header, ...rows] }
+                }));
+            }
+        };
+    }
+};
+
+const registerSheetsClient = (name, factory) => {
+    clients[name] = factory;
+};
+
+let client = null;
+
+// SHEETS_CLIENT names a registered client or a module (path) exporting a factory, e.g. a local fake
+const getSheetsClient = () => {
+    if (!client) {
+        const name = process.env.SHEETS_CLIENT || 'google';
+        if (!clients[name] && name.includes('/')) {
+            registerSheetsClient(name, require(path.resolve(name)));
+        }
+        if (!clients[name]) {
+            throw new Error(`Unknown SHEETS_CLIENT "${name}"`);
+        }
+        client = clients[name]();
+    }
+    return client;
+};
+
+// ===== ROWS =====
+
+const SETTINGS_ID = 'default';
+
+// "2024-05-01 10:30:00", which Sheets reads as a date and time
+const sheetDate = (value, timeZone) => wallClock(value, timeZone).toISOString().slice(0, 19).replace('T', ' ');
+
+// A report's columns and rows as a header and arrays of cells
+const toCells = ({ columns, rows }, timeZone) => ({
+    header: columns.map(c => c.header),
+    rows: rows.map(row => columns.map(c => {
+        const value = row[c.key];
+        if (value === null || value === undefined) return '';
+        if (c.type === 'date') return sheetDate(value, timeZone);
+        return c.type === 'number' ? value : escapeFormula(String(value));
+    }))
+});
+
+// The session summary has fixed columns, so rows line up as the menu changes over time.
+// Columns added since the first release go last so existing sheets keep lining up.
+const LATER_COLUMNS = ['question', 'pollType'];
+
+const summaryReport = async (sessionId) => {
+    const { columns, rows: [row] } = await sessionReport({ id: sessionId });
+    const results = columns
+        .filter(c => c.key.startsWith('option:') && row[c.key] > 0)
+        .map(c => ({ label: c.header, count: row[c.key] }))
+        .sort((a, b) => b.count - a.count);
+    // The tally engine picks the winner, so a ranked poll's is the runoff's
+    const { winners: winnerKeys } = await sessionResults(await Session.findOne({ id: sessionId }));
+    const winners = winnerKeys.map(key => ({ label: (columns.find(c => c.key === `option:${key}`) || { header: key }).header }));
+
+    return {
+        columns: [
+            ...columns.filter(c => !c.key.startsWith('option:') && !LATER_COLUMNS.includes(c.key)),
+            { header: 'Winner', key: 'winner' },
+            { header: 'Results', key: 'results' },
+            ...LATER_COLUMNS.map(key => columns.find(c => c.key === key))
+        ],
+        rows: [{
+            ...row,
+            winner: winners.map(w => w.label).join(' & '),
+            results: results.map(r => `${r.label}: ${r.count}`).join(', ')
+        }]
+    };
+};
+
+// ===== OUTBOX =====
+
+// Queues an ended session for the spreadsheet if sync is on; returns the job or null
+const queueSheetSync = async (sessionId) => {
+    const settings = await SheetSettings.findOne({ id: SETTINGS_ID });
+    if (!settings || !settings.isActive) return null;
+
+    const job = await SheetSyncJob.create({ id: crypto.randomUUID(), sessionId });
+    // Sync right away rather than waiting for the next worker tick
+    deliverDueSheetSyncs();
+    return job;
+};
+
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// Appends due sessions; the summary row is only written once even if the votes tab needs a retry
+const deliverDueSheetSyncs = createOutboxWorker(SheetSyncJob, async (job) => {
+    const settings = await SheetSettings.findOne({ id: SETTINGS_ID });
+    if (!settings || !settings.isActive) {
+        throw permanentError('Google Sheets sync is turned off');
+    }
+    if (!(await Session.exists({ id: job.sessionId }))) {
+        throw permanentError('Session was deleted');
+    }
+
+    const sheets = getSheetsClient();
+    let rowCount = job.rowCount || 0;
+
+    if (!job.summarySentAt) {
+        const summary = toCells(await summaryReport(job.sessionId), settings.timezone);
+        await sheets.appendRows(settings.spreadsheetId, settings.sessionsTab, summary.header, summary.rows);
+        rowCount += summary.rows.length;
+        await SheetSyncJob.updateOne({ id: job.id }, { summarySentAt: new Date(), rowCount });
+    }
+
+    if (settings.votesTab) {
+        const votes = toCells(await voteReport({ sessionId: job.sessionId }), settings.timezone);
+        if (votes.rows.length) {
+            await sheets.appendRows(settings.spreadsheetId, settings.votesTab, votes.header, votes.rows);
+            rowCount += votes.rows.length;
+        }
+    }
+    return { rowCount };
+}, (job) => `📄 Sheets sync of session ${job.sessionId}`);
+
+module.exports = {
+    SETTINGS_ID,
+    registerSheetsClient,
+    getSheetsClient,
+    queueSheetSync,
+    deliverDueSheetSyncs
+};
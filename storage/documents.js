@@ -0,0 +1,682 @@
+/**
+ * Open Eyes Vote - Document Storage
+ * The voting rules for backends without a server of their own (localStorage, Firestore).
+ * A backend only supplies tables of plain JSON documents keyed by id.
+ */
+
+const SESSION_DURATION_MS = 10 * 60 * 1000; // Default for sessions saved without a deadline
+const MIN_PASSWORD_LENGTH = 6;
+// Admin-issued codes that let an employee set (or reset) their password once
+const SETUP_CODE_TTL_MS = 72 * 60 * 60 * 1000;
+
+// Backup archives, the same format as server.js's /api/admin/backup (see backup.js there)
+const BACKUP_FORMAT = 'brewvote-backup';
+const BACKUP_VERSION = 1;
+const PASSWORD_SCHEME = 'pbkdf2';
+const BACKUP_TABLES = ['users', 'options', 'sessions', 'votes', 'voteChanges', 'subscribers'];
+const BACKUP_UNIQUE_KEYS = {
+    users: (doc) => doc.employeeId,
+    options: (doc) => doc.key,
+    votes: (doc) => `${doc.sessionId}/${doc.userId}`,
+    subscribers: (doc) => doc.email
+};
+const BACKUP_USER_REFERENCES = { sessions: ['createdBy'], votes: ['userId'], voteChanges: ['userId'], subscribers: ['addedBy'] };
+
+// Seeded on first run with a generated password, printed to the console once
+const ADMIN_USER = {
+    id: 'admin-1',
+    name: 'Event Manager',
+    employeeId: 'ADM001',
+    role: 'ADMIN'
+};
+
+const POLL_TYPES = ['SINGLE', 'MULTIPLE', 'RANKED'];
+const MAX_POLL_OPTIONS = 20;
+// Colors handed out to one-off poll options that don't pick their own
+const POLL_OPTION_COLORS = ['#2563eb', '#dc2626', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#ea580c', '#4b5563'];
+
+// Menu seeded on first run so existing COFFEE/TEA votes keep resolving
+const DEFAULT_OPTIONS = [
+    { id: 'option-coffee', key: 'COFFEE', label: 'Coffee', color: '#d97706', icon: 'coffee', isActive: true, order: 0 },
+    { id: 'option-tea', key: 'TEA', label: 'Tea', color: '#059669', icon: 'glass-water', isActive: true, order: 1 }
+];
+
+/**
+ * Builds a storage adapter on top of `db`, which must provide:
+ *   init()                  connect / prepare
+ *   list(table, where)      documents whose fields equal every value in `where` (all if omitted)
+ *   put(table, doc)         insert or replace by doc.id
+ *   remove(table, id)
+ *   batch(changes)          apply { table, doc } puts and { table, id } removes together; a put's
+ *                           `now` lists fields the backend may set to its own clock, and with
+ *                           `merge` only the doc's fields are written over the stored ones
+ * Tables: users, sessions, votes, options, voteChanges, subscribers, notificationHistory.
+ *
+ * Employees' queries always filter on their own userId so backends with access rules
+ * (Firestore) can serve them. `auth` replaces the built-in password login when the
+ * backend has its own; it provides restore(), login(data) and logout(), each resolving to the user.
+ */
+const DocumentStorage = (db, { name, auth, subscribe }) => {
+    const CURRENT_USER_KEY = 'brewvote_current_user';
+    let currentUser = null;
+
+    // A vote's choices, including votes from before polls that only have a type
+    const ballotChoices = (vote) => (vote.choices && vote.choices.length ? vote.choices : [vote.type]);
+
+    // Per-option totals like the server's: every choice in multiple-choice polls, otherwise the first
+    const countChoices = (votes, sessions) => {
+        const pollTypes = new Map(sessions.map(s => [s.id, s.pollType]));
+        const counts = {};
+        votes.forEach(v => {
+            const counted = pollTypes.get(v.sessionId) === 'MULTIPLE' ? ballotChoices(v) : [v.type];
+            counted.forEach(key => {
+                counts[key] = (counts[key] || 0) + 1;
+            });
+        });
+        return counts;
+    };
+
+    // Results from the same engine as the server's (tally.js)
+    const sessionResults = (session, votes) => Tally.tallyBallots(
+        session.pollType || 'SINGLE',
+        (session.options || []).map(o => o.key),
+        votes.filter(v => v.sessionId === session.id).map(ballotChoices)
+    );
+
+    // "Hot Chocolate" -> "HOT_CHOCOLATE"
+    const toOptionKey = (label) => label.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    const withoutPassword = ({ passwordHash, setupCodeHash, ...user }) => user;
+
+    // 6 random bytes as 8 URL-safe characters
+    const randomCode = () => btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(6))))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+
+    // PBKDF2 via WebCrypto, stored as "salt:hash" like the server's scrypt hashes
+    const hashPassword = async (password, salt = crypto.randomUUID()) => {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: encoder.encode(salt), iterations: 100000, hash: 'SHA-256' },
+            key,
+            256
+        );
+        const hash = Array.from(new Uint8Array(bits)).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${salt}:${hash}`;
+    };
+
+    const verifyPassword = async (password, stored) => {
+        const [salt] = stored.split(':');
+        return (await hashPassword(password, salt)) === stored;
+    };
+
+    const getSessionDeadline = (session) => {
+        return session.closesAt
+            ? new Date(session.closesAt).getTime()
+            : new Date(session.startTime).getTime() + SESSION_DURATION_MS;
+    };
+
+    const withDeadline = (session) => ({
+        ...session,
+        closesAt: new Date(getSessionDeadline(session)).toISOString()
+    });
+
+    // No server here, so admin tabs close sessions past their deadline; everyone else just ignores them
+    const closeExpiredSessions = async () => {
+        if (currentUser.role !== 'ADMIN') return;
+        const sessions = await db.list('sessions');
+        const expired = sessions.filter(s => s.isActive && getSessionDeadline(s) <= Date.now());
+        for (const s of expired) {
+            await db.put('sessions', { ...s, isActive: false, endTime: new Date(getSessionDeadline(s)).toISOString() });
+        }
+    };
+
+    const getActiveSession = async () => {
+        await closeExpiredSessions();
+        const sessions = await db.list('sessions');
+        const session = sessions.find(s => s.isActive && getSessionDeadline(s) > Date.now());
+        return session ? withDeadline(session) : null;
+    };
+
+    // Append-only audit trail of every vote cast, changed or withdrawn, written in the same batch as the vote
+    // from and to are the choices before and after, or null for a cast or withdrawal
+    const voteChange = (vote, action, from, to) => ({
+        table: 'voteChanges',
+        now: ['timestamp'],
+        doc: {
+            id: crypto.randomUUID(),
+            voteId: vote.id,
+            sessionId: vote.sessionId,
+            userId: vote.userId,
+            userName: vote.userName,
+            action,
+            fromType: from ? from[0] : null,
+            toType: to ? to[0] : null,
+            fromChoices: from || [],
+            toChoices: to || [],
+            timestamp: new Date().toISOString()
+        }
+    });
+
+    // The vote must be the current user's, in the session that is still open
+    const findEditableVote = async (id) => {
+        const [vote] = await db.list('votes', { id, userId: currentUser.id });
+        if (!vote) throw new Error('Vote not found');
+        const session = await getActiveSession();
+        if (!session || session.id !== vote.sessionId) throw new Error('Voting has closed for this session');
+        return vote;
+    };
+
+    const activeMenu = async () => (await db.list('options')).filter(o => o.isActive).sort((a, b) => a.order - b.order);
+
+    const toPollOption = ({ key, label, color, icon }) => ({ key, label, color, icon });
+
+    // A poll's options from the start form: menu option keys, or { label, color, icon } for one-off choices
+    const resolvePollOptions = async (requested) => {
+        const menu = await activeMenu();
+        if (!requested) return menu.map(toPollOption);
+
+        const options = [];
+        for (const item of requested) {
+            let option;
+            if (typeof item === 'string') {
+                const onMenu = menu.find(o => o.key === item);
+                if (!onMenu) throw new Error(`"${item}" isn't an active menu option`);
+                option = toPollOption(onMenu);
+            } else if (item && typeof item.label === 'string' && toOptionKey(item.label)) {
+                option = {
+                    key: toOptionKey(item.label),
+                    label: item.label.trim(),
+                    color: item.color || POLL_OPTION_COLORS[options.length % POLL_OPTION_COLORS.length],
+                    icon: item.icon || 'circle'
+                };
+            } else {
+                throw new Error('Each option needs a label');
+            }
+            if (options.some(o => o.key === option.key)) throw new Error(`"${option.label}" is listed twice`);
+            options.push(option);
+        }
+        if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+            throw new Error(`A poll needs between 2 and ${MAX_POLL_OPTIONS} options`);
+        }
+        return options;
+    };
+
+    // Throws unless the choices fit the session's poll; sessions from before polls offered the active menu
+    const checkChoices = async (session, choices) => {
+        if (!Array.isArray(choices) || choices.length === 0) throw new Error('Please pick an option');
+        if (session.pollType !== 'MULTIPLE' && session.pollType !== 'RANKED' && choices.length > 1) {
+            throw new Error('This poll takes a single choice');
+        }
+        if (new Set(choices).size !== choices.length) throw new Error('Each option can only be chosen once');
+        const isPoll = session.options && session.options.length;
+        const options = isPoll ? session.options : await activeMenu();
+        if (choices.some(key => !options.some(o => o.key === key))) {
+            throw new Error(isPoll ? "That option isn't part of this poll" : 'That option is no longer on the menu');
+        }
+    };
+
+    // A vote body's choices: { choices: [...] }, or { type } for a single choice
+    const requestedChoices = ({ choices, type }) => choices || (type ? [type] : []);
+
+    // Seeded once an admin is around to write it, so backends with access rules can take it too
+    const seedMenu = async () => {
+        if ((await db.list('options')).length === 0) {
+            for (const option of DEFAULT_OPTIONS) await db.put('options', option);
+        }
+    };
+
+    // Built-in login for backends without their own: users and password hashes live in the users table
+    const passwordAuth = {
+        restore: async () => JSON.parse(localStorage.getItem(CURRENT_USER_KEY) || 'null'),
+
+        login: async ({ employeeId, name, password, role, setupCode }) => {
+            let user = (await db.list('users')).find(u => u.employeeId === employeeId && u.role === role);
+            const checkLength = () => {
+                if (password.length < MIN_PASSWORD_LENGTH) {
+                    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+                }
+            };
+
+            if (setupCode) {
+                // Sets the password with a code from an admin; the code only works once
+                if (!user || !user.setupCodeHash || new Date(user.setupCodeExpiresAt) < new Date()
+                    || !(await verifyPassword(setupCode, user.setupCodeHash))) {
+                    throw new Error('Invalid or expired setup code');
+                }
+                checkLength();
+                const { setupCodeHash, setupCodeExpiresAt, ...rest } = user;
+                user = { ...rest, passwordHash: await hashPassword(password) };
+                await db.put('users', user);
+            } else if (!user && role === 'EMPLOYEE' && name) {
+                checkLength();
+                // Register new employee
+                user = { id: crypto.randomUUID(), name, employeeId, role: 'EMPLOYEE', passwordHash: await hashPassword(password) };
+                await db.put('users', user);
+            } else if (!user) {
+                throw new Error(role === 'ADMIN'
+                    ? 'Invalid admin credentials'
+                    : 'User not found. Please provide name for first login.');
+            } else if (!user.passwordHash) {
+                // Accounts restored from another backend, and those from before passwords existed
+                throw new Error(role === 'ADMIN'
+                    ? 'Invalid admin credentials'
+                    : 'This account has no password yet. Ask an admin for a setup code.');
+            } else if (!(await verifyPassword(password, user.passwordHash))) {
+                throw new Error('Invalid ID or password');
+            }
+
+            const publicUser = withoutPassword(user);
+            localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(publicUser));
+            return publicUser;
+        },
+
+        logout: async () => {
+            localStorage.removeItem(CURRENT_USER_KEY);
+        }
+    };
+
+    // Returns what's wrong with a backup archive's shape, or null
+    const validateArchive = (archive) => {
+        if (!archive || archive.format !== BACKUP_FORMAT) return 'Not a backup file';
+        if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+            return `Unsupported backup version ${archive.version}`;
+        }
+        if (!archive.data || typeof archive.data !== 'object') return 'Backup has no data';
+        for (const [table, docs] of Object.entries(archive.data)) {
+            if (!Array.isArray(docs)) return `"${table}" must be a list`;
+            if (docs.some(doc => !doc || typeof doc.id !== 'string' || !doc.id)) return `Every record in "${table}" needs an id`;
+            if (new Set(docs.map(doc => doc.id)).size !== docs.length) return `"${table}" has an id twice`;
+        }
+        return null;
+    };
+
+    // Dates become ISO strings like everything this adapter writes; fills in what older archives lack
+    const normalizeBackupDoc = (table, doc, archive) => {
+        const copy = JSON.parse(JSON.stringify(doc));
+        delete copy._id;
+        delete copy.__v;
+
+        // Hashes from another backend can't be checked here; employees need a setup code to set a new password
+        if (table === 'users' && (auth || archive.passwordScheme !== PASSWORD_SCHEME)) {
+            delete copy.passwordHash;
+            delete copy.setupCodeHash;
+            delete copy.setupCodeExpiresAt;
+        }
+        if (table === 'users') {
+            delete copy.reminderToken;
+            delete copy.reminders;
+        }
+        if (table === 'sessions' && !copy.closesAt && copy.startTime) {
+            const durationMs = copy.durationMinutes ? copy.durationMinutes * 60 * 1000 : SESSION_DURATION_MS;
+            copy.closesAt = new Date(new Date(copy.startTime).getTime() + durationMs).toISOString();
+        }
+        // Closed now rather than by the next admin tab, so votes can be written into them
+        if (table === 'sessions' && copy.isActive && getSessionDeadline(copy) <= Date.now()) {
+            copy.isActive = false;
+            copy.endTime = new Date(getSessionDeadline(copy)).toISOString();
+        }
+        if (table === 'subscribers') {
+            delete copy.unsubscribeToken;
+            if (typeof copy.email === 'string') copy.email = copy.email.trim().toLowerCase();
+        }
+        return copy;
+    };
+
+    const signIn = async (user) => {
+        currentUser = user;
+        if (user && user.role === 'ADMIN') await seedMenu();
+        return user;
+    };
+
+    return {
+        name,
+        features: { schedules: false, subscribers: true, webhooks: false, push: false, reminders: false, exports: false, sheets: false, backup: true, roster: false, setupCodes: !auth, anonymous: false, prep: false, preferences: false },
+
+        init: async () => {
+            await db.init();
+            if (auth) return;
+            // Like the server's /api/init: an admin without a password gets a generated one
+            const admin = (await db.list('users')).find(u => u.employeeId === ADMIN_USER.employeeId);
+            if (!admin || !admin.passwordHash) {
+                const password = randomCode();
+                await db.put('users', { ...(admin || ADMIN_USER), passwordHash: await hashPassword(password) });
+                console.log(`🔑 Admin ${ADMIN_USER.employeeId} password: ${password}`);
+            }
+        },
+
+        // Live events from backends that can push them; the dashboard polls without
+        subscribe: subscribe && ((handlers, callbacks) => subscribe(currentUser, handlers, callbacks)),
+
+        auth: {
+            restore: async () => signIn(await (auth || passwordAuth).restore()),
+            login: async (data) => signIn(await (auth || passwordAuth).login(data)),
+            logout: async () => {
+                currentUser = null;
+                await (auth || passwordAuth).logout();
+            }
+        },
+
+        sessions: {
+            getActive: getActiveSession,
+
+            // Newest first, each with per-option totals and its vote count; ranked polls also with their results
+            getRecent: async (limit, closedOnly = false) => {
+                await closeExpiredSessions();
+                const [sessions, votes] = await Promise.all([db.list('sessions'), db.list('votes')]);
+                return sessions
+                    .filter(s => !closedOnly || !s.isActive)
+                    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+                    .slice(0, limit)
+                    .map(s => {
+                        const sessionVotes = votes.filter(v => v.sessionId === s.id);
+                        const voteCount = sessionVotes.length;
+                        const results = s.pollType === 'RANKED' ? sessionResults(s, sessionVotes) : undefined;
+                        return { ...withDeadline(s), totals: countChoices(sessionVotes, [s]), voteCount, totalVotes: voteCount, results };
+                    });
+            },
+
+            // Without a question and options it's a single-choice vote on the active menu
+            start: async ({ durationMinutes, question, description, pollType = 'SINGLE', options }) => {
+                if (!POLL_TYPES.includes(pollType)) throw new Error(`Poll type must be one of ${POLL_TYPES.join(', ')}`);
+                const pollOptions = await resolvePollOptions(options);
+
+                // Deactivate others
+                const endTime = new Date().toISOString();
+                for (const s of (await db.list('sessions')).filter(s => s.isActive)) {
+                    await db.put('sessions', { ...s, isActive: false, endTime });
+                }
+
+                const startTime = new Date();
+                const session = {
+                    id: crypto.randomUUID(),
+                    startTime: startTime.toISOString(),
+                    isActive: true,
+                    durationMinutes,
+                    closesAt: new Date(startTime.getTime() + durationMinutes * 60 * 1000).toISOString(),
+                    question: question ? question.trim() : null,
+                    description: description ? description.trim() : null,
+                    pollType,
+                    options: pollOptions,
+                    optionKeys: pollOptions.map(o => o.key),
+                    createdBy: currentUser.id
+                };
+                await db.put('sessions', session);
+                return session;
+            },
+
+            results: async (id) => {
+                const session = (await db.list('sessions')).find(s => s.id === id);
+                if (!session) throw new Error('Session not found');
+                return { sessionId: id, ...sessionResults(session, await db.list('votes', { sessionId: id })) };
+            },
+
+            end: async (id) => {
+                const session = (await db.list('sessions')).find(s => s.id === id);
+                if (!session) throw new Error('Session not found');
+                if (!session.isActive) return session;
+
+                const ended = { ...session, isActive: false, endTime: new Date().toISOString() };
+                await db.put('sessions', ended);
+                return ended;
+            },
+
+            // Removes a finished session and its votes; the vote audit trail is kept
+            remove: async (id) => {
+                const session = (await db.list('sessions')).find(s => s.id === id);
+                if (!session) throw new Error('Session not found');
+                if (session.isActive && getSessionDeadline(session) > Date.now()) {
+                    throw new Error('End the session before deleting it');
+                }
+
+                for (const v of await db.list('votes', { sessionId: id })) {
+                    await db.remove('votes', v.id);
+                }
+                await db.remove('sessions', id);
+            }
+        },
+
+        votes: {
+            // Employees only ever see their own votes; admins see everyone's
+            getBySession: (sessionId) => db.list('votes', currentUser.role === 'ADMIN'
+                ? { sessionId }
+                : { sessionId, userId: currentUser.id }),
+
+            cast: async ({ sessionId, ...ballot }) => {
+                const choices = requestedChoices(ballot);
+                const session = await getActiveSession();
+                if (!session || session.id !== sessionId) throw new Error('Voting has closed for this session');
+                await checkChoices(session, choices);
+
+                if ((await db.list('votes', { sessionId, userId: currentUser.id })).length > 0) {
+                    throw new Error('User already voted in this session');
+                }
+
+                const vote = {
+                    // One id per user per session, so access rules can refuse a second ballot
+                    id: `${sessionId}_${currentUser.id}`,
+                    sessionId,
+                    userId: currentUser.id,
+                    userName: currentUser.name,
+                    type: choices[0],
+                    choices,
+                    timestamp: new Date().toISOString()
+                };
+                await db.batch([{ table: 'votes', doc: vote, now: ['timestamp'] }, voteChange(vote, 'CAST', null, choices)]);
+                return vote;
+            },
+
+            update: async (id, ballot) => {
+                const choices = requestedChoices(ballot);
+                const vote = await findEditableVote(id);
+                const previous = ballotChoices(vote);
+                if (previous.join() === choices.join()) return vote;
+                await checkChoices(await getActiveSession(), choices);
+
+                const updated = { ...vote, type: choices[0], choices, updatedAt: new Date().toISOString() };
+                await db.batch([
+                    { table: 'votes', doc: { id, type: updated.type, choices, updatedAt: updated.updatedAt }, now: ['updatedAt'], merge: true },
+                    voteChange(updated, 'CHANGED', previous, choices)
+                ]);
+                return updated;
+            },
+
+            remove: async (id) => {
+                const vote = await findEditableVote(id);
+                await db.batch([{ table: 'votes', id }, voteChange(vote, 'WITHDRAWN', ballotChoices(vote), null)]);
+            }
+        },
+
+        options: {
+            getAll: async () => (await db.list('options')).sort((a, b) => a.order - b.order),
+
+            create: async ({ label, icon, color }) => {
+                // "Hot Chocolate" -> "HOT_CHOCOLATE"
+                const key = label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+                if (!key) throw new Error('Please enter an option label');
+
+                const options = await db.list('options');
+                if (options.some(o => o.key === key)) throw new Error(`Option "${label}" already exists`);
+
+                const option = { id: crypto.randomUUID(), key, label, color, icon, isActive: true, order: options.length };
+                await db.put('options', option);
+                return option;
+            },
+
+            // The key is immutable so past votes keep pointing at the right option
+            update: async (id, { label, icon, color, isActive }) => {
+                const option = (await db.list('options')).find(o => o.id === id);
+                if (!option) throw new Error('Option not found');
+
+                const changes = Object.fromEntries(
+                    Object.entries({ label, icon, color, isActive }).filter(([, value]) => value !== undefined)
+                );
+                const updated = { ...option, ...changes };
+                await db.put('options', updated);
+                return updated;
+            },
+
+            // Options with history can only be retired, otherwise old tallies lose their label
+            remove: async (id) => {
+                const option = (await db.list('options')).find(o => o.id === id);
+                if (!option) throw new Error('Option not found');
+                if ((await db.list('votes')).some(v => ballotChoices(v).includes(option.key))) {
+                    throw new Error('Option has votes; deactivate it instead');
+                }
+                await db.remove('options', id);
+            }
+        },
+
+        users: {
+            getAll: async () => (await db.list('users')).map(withoutPassword),
+
+            // { code, expiresAt }; the code is only shown this once
+            issueSetupCode: async (id) => {
+                const user = (await db.list('users')).find(u => u.id === id && u.role === 'EMPLOYEE');
+                if (!user) throw new Error('Employee not found');
+
+                const code = randomCode();
+                const expiresAt = new Date(Date.now() + SETUP_CODE_TTL_MS).toISOString();
+                await db.put('users', { ...user, setupCodeHash: await hashPassword(code), setupCodeExpiresAt: expiresAt });
+                return { code, expiresAt };
+            }
+        },
+
+        stats: {
+            get: async () => {
+                const [sessions, votes] = await Promise.all([db.list('sessions'), db.list('votes')]);
+                return { totals: countChoices(votes, sessions), totalVotes: votes.length };
+            }
+        },
+
+        backup: {
+            create: async () => {
+                const data = {};
+                for (const table of BACKUP_TABLES) {
+                    data[table] = await db.list(table);
+                }
+                return {
+                    format: BACKUP_FORMAT,
+                    version: BACKUP_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    source: name,
+                    passwordScheme: auth ? null : PASSWORD_SCHEME,
+                    data
+                };
+            },
+
+            /**
+             * merge adds what's missing and keeps what's here, matching archived users to existing ones by
+             * employee ID; replace deletes the current data first, except the signed-in admin, the vote
+             * audit trail and tables the archive doesn't have. Resolves to the same report as the server's
+             * /api/admin/restore.
+             */
+            restore: async (archive, { mode = 'merge', dryRun = false } = {}) => {
+                if (currentUser.role !== 'ADMIN') throw new Error('Admin access required');
+                const invalid = validateArchive(archive);
+                if (invalid) throw new Error(invalid);
+
+                const report = { mode, dryRun, tables: {}, warnings: [], errors: [] };
+                const userIds = new Map(); // Archived user id -> id of the same person here
+                Object.keys(archive.data)
+                    .filter(table => !BACKUP_TABLES.includes(table))
+                    .forEach(table => report.warnings.push(`"${table}" isn't restored by the ${name} build`));
+
+                const plans = [];
+                for (const table of BACKUP_TABLES) {
+                    const uniqueKey = BACKUP_UNIQUE_KEYS[table];
+                    const replaced = mode === 'replace' && table !== 'voteChanges' && Array.isArray(archive.data[table]);
+                    const current = await db.list(table);
+                    const kept = replaced ? current.filter(doc => table === 'users' && doc.id === currentUser.id) : current;
+                    const keptIds = new Set(kept.map(doc => doc.id));
+                    const keptKeys = new Map(uniqueKey ? kept.map(doc => [uniqueKey(doc), doc.id]) : []);
+
+                    const docs = [];
+                    let skipped = 0;
+                    for (const original of archive.data[table] || []) {
+                        const doc = normalizeBackupDoc(table, original, archive);
+                        (BACKUP_USER_REFERENCES[table] || []).forEach(field => {
+                            if (userIds.has(doc[field])) doc[field] = userIds.get(doc[field]);
+                        });
+                        // One id per user per session, as cast() writes them
+                        if (table === 'votes') doc.id = `${doc.sessionId}_${doc.userId}`;
+
+                        const existingId = keptIds.has(doc.id) ? doc.id : uniqueKey && keptKeys.get(uniqueKey(doc));
+                        if (existingId) {
+                            if (table === 'users') userIds.set(original.id, existingId);
+                            skipped++;
+                            continue;
+                        }
+                        docs.push(doc);
+                        keptIds.add(doc.id);
+                        if (uniqueKey) keptKeys.set(uniqueKey(doc), doc.id);
+                    }
+
+                    if (table === 'sessions') {
+                        // normalizeBackupDoc already closed the ones past their deadline
+                        const expired = docs.filter(doc => !doc.isActive && (archive.data.sessions || []).some(s => s.id === doc.id && s.isActive));
+                        if (expired.length) {
+                            report.warnings.push(`${expired.length} session(s) open when the backup was taken are past their deadline and restored closed`);
+                        }
+                        // Never open next to a running session; only the newest still-open one stays open
+                        const running = kept.some(doc => doc.isActive && getSessionDeadline(doc) > Date.now());
+                        const open = docs.filter(doc => doc.isActive).sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+                        const extra = running ? open : open.slice(1);
+                        const endTime = new Date().toISOString();
+                        extra.forEach(doc => Object.assign(doc, { isActive: false, endTime }));
+                        if (extra.length) {
+                            report.warnings.push(`${extra.length} open session(s) restored closed${running ? ' because a session is already running' : ''}, so only one runs at a time`);
+                        }
+                    }
+
+                    const deleted = replaced ? current.filter(doc => !kept.includes(doc)) : [];
+                    report.tables[table] = { archived: (archive.data[table] || []).length, created: docs.length, skipped, deleted: deleted.length };
+                    plans.push({ table, docs, deleted });
+                }
+                if (dryRun) return report;
+
+                for (const { table, deleted } of plans) {
+                    for (const doc of deleted) await db.remove(table, doc.id);
+                }
+                for (const { table, docs } of plans) {
+                    for (const doc of docs) {
+                        // Access rules check ballots against optionKeys; the menu was restored before the sessions
+                        if (table === 'sessions' && doc.isActive && !doc.optionKeys) {
+                            doc.optionKeys = (doc.options && doc.options.length ? doc.options : await activeMenu()).map(o => o.key);
+                        }
+                        await db.put(table, doc);
+                    }
+                }
+                return report;
+            }
+        },
+
+        subscribers: {
+            getAll: () => db.list('subscribers'),
+
+            add: async (email) => {
+                if ((await db.list('subscribers')).some(n => n.email === email)) {
+                    throw new Error('This email is already subscribed');
+                }
+                await db.put('subscribers', { id: crypto.randomUUID(), email, subscribedAt: new Date().toISOString() });
+            },
+
+            remove: (id) => db.remove('subscribers', id),
+
+            // Nothing is sent from here; the message is kept in the notification history
+            notify: async (message) => {
+                const subscribers = await db.list('subscribers');
+                if (subscribers.length > 0) {
+                    await db.put('notificationHistory', {
+                        id: crypto.randomUUID(),
+                        message,
+                        timestamp: new Date().toISOString(),
+                        recipientCount: subscribers.length
+                    });
+                }
+                return subscribers.length;
+            }
+        }
+    };
+};
@@ -0,0 +1,202 @@
+/**
+ * Open Eyes Vote - Firestore Adapter
+ * Shares one poll between every device of a Firebase Hosting deployment.
+ * Logins are Firebase Auth accounts; firestore.rules decides what each role may touch.
+ * The Firebase SDK is only downloaded when this adapter is selected.
+ */
+
+const FIREBASE_SDK_VERSION = '10.12.2';
+
+const loadScript = (src) => new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+});
+
+// Dates firestore.rules compares with request.time are stored as Timestamps; the app sees ISO strings
+const TIMESTAMP_FIELDS = { sessions: ['startTime', 'closesAt', 'endTime'], votes: ['timestamp', 'updatedAt'], voteChanges: ['timestamp'] };
+
+// Tables map to collections of the same name, one document per row keyed by its id
+const FirestoreAdapter = (config) => {
+    const settings = config.firebase;
+    let firestore = null;
+    let auth = null;
+
+    // Employee IDs double as Firebase Auth emails so people keep logging in with their ID
+    const emailFor = (employeeId) => `${employeeId.trim().toLowerCase()}@${settings.emailDomain || 'brewvote.invalid'}`;
+
+    // `now` fields get the server's time, which the rules require for votes and their audit trail
+    const toFirestore = (table, doc, now = []) => {
+        const data = { ...doc };
+        (TIMESTAMP_FIELDS[table] || []).forEach(field => {
+            if (typeof data[field] === 'string') data[field] = firebase.firestore.Timestamp.fromDate(new Date(data[field]));
+        });
+        now.forEach(field => {
+            data[field] = firebase.firestore.FieldValue.serverTimestamp();
+        });
+        return data;
+    };
+
+    // Local writes show up before the server has set their time, so estimate it meanwhile
+    const fromFirestore = (doc) => Object.fromEntries(Object.entries(doc.data({ serverTimestamps: 'estimate' })).map(
+        ([field, value]) => [field, value instanceof firebase.firestore.Timestamp ? value.toDate().toISOString() : value]
+    ));
+
+    const loadProfile = async (uid) => {
+        const doc = await firestore.collection('users').doc(uid).get();
+        return doc.exists ? doc.data() : null;
+    };
+
+    const signInOrRegister = async ({ employeeId, name, password, role }) => {
+        const email = emailFor(employeeId);
+        try {
+            return (await auth.signInWithEmailAndPassword(email, password)).user;
+        } catch (err) {
+            // Unknown accounts and wrong passwords look the same with email enumeration protection on
+            if (role !== 'EMPLOYEE' || !name) {
+                throw new Error(role === 'ADMIN' ? 'Invalid admin credentials' : 'Invalid ID or password');
+            }
+        }
+
+        try {
+            // Register new employee
+            const { user } = await auth.createUserWithEmailAndPassword(email, password);
+            await firestore.collection('users').doc(user.uid).set({
+                id: user.uid,
+                name,
+                employeeId,
+                role: 'EMPLOYEE',
+                createdAt: new Date().toISOString()
+            });
+            return user;
+        } catch (err) {
+            if (err.code === 'auth/weak-password') throw new Error('Password must be at least 6 characters');
+            if (err.code === 'auth/email-already-in-use') throw new Error('Invalid ID or password');
+            throw err;
+        }
+    };
+
+    const firebaseAuth = {
+        // Resolves once Firebase has restored (or not) the previous login
+        restore: () => new Promise((resolve, reject) => {
+            const stop = auth.onAuthStateChanged(user => {
+                stop();
+                (user ? loadProfile(user.uid) : Promise.resolve(null)).then(resolve, reject);
+            });
+        }),
+
+        login: async (data) => {
+            const user = await signInOrRegister(data);
+            const profile = await loadProfile(user.uid);
+            if (!profile || profile.role !== data.role) {
+                await auth.signOut();
+                throw new Error(data.role === 'ADMIN' ? 'Invalid admin credentials' : 'Invalid ID or password');
+            }
+            return profile;
+        },
+
+        logout: () => auth.signOut()
+    };
+
+    // Turns snapshot changes into the same events server.js pushes. Each listener's first
+    // snapshot is the current state, not news, so it only marks the stream as open.
+    const subscribe = (user, handlers, { onOpen, onError }) => {
+        const emit = (type, data) => handlers[type] && handlers[type](data);
+        const voteChoices = new Map();
+
+        const listen = (query, onChanges) => {
+            let first = true;
+            return query.onSnapshot(snapshot => {
+                if (first) {
+                    first = false;
+                    snapshot.docs.forEach(doc => onChanges({ type: 'seed', doc }));
+                    onOpen();
+                    return;
+                }
+                snapshot.docChanges().forEach(onChanges);
+            }, onError);
+        };
+
+        const stopSessions = listen(firestore.collection('sessions'), ({ type, doc }) => {
+            const session = fromFirestore(doc);
+            if (type === 'added' && session.isActive) emit('session.started', session);
+            if (type === 'modified' && !session.isActive) emit('session.ended', session);
+        });
+
+        // Employees may only read their own ballots
+        const votes = user.role === 'ADMIN'
+            ? firestore.collection('votes')
+            : firestore.collection('votes').where('userId', '==', user.id);
+        const stopVotes = listen(votes, ({ type, doc }) => {
+            const vote = fromFirestore(doc);
+            const choices = vote.choices && vote.choices.length ? vote.choices : [vote.type];
+            if (type === 'added') emit('vote.cast', vote);
+            // Also modified once the server has set a new vote's time, which isn't news
+            const previous = voteChoices.get(vote.id) || [];
+            if (type === 'modified' && previous.join() !== choices.join()) {
+                emit('vote.changed', { ...vote, previousType: previous[0], previousChoices: previous });
+            }
+            if (type === 'removed') {
+                emit('vote.withdrawn', vote);
+                voteChoices.delete(vote.id);
+                return;
+            }
+            voteChoices.set(vote.id, choices);
+        });
+
+        return () => {
+            stopSessions();
+            stopVotes();
+        };
+    };
+
+    return DocumentStorage({
+        init: async () => {
+            const sdk = `https://www.gstatic.com/firebasejs/${FIREBASE_SDK_VERSION}`;
+            await loadScript(`${sdk}/firebase-app-compat.js`);
+            await loadScript(`${sdk}/firebase-auth-compat.js`);
+            await loadScript(`${sdk}/firebase-firestore-compat.js`);
+
+            // Firebase Hosting (and its emulator) serves the project's settings itself
+            const appSettings = settings.apiKey ? settings : await (await fetch('/__/firebase/init.json')).json();
+            firebase.initializeApp(appSettings);
+            firestore = firebase.firestore();
+            auth = firebase.auth();
+            firestore.settings({ ignoreUndefinedProperties: true });
+
+            // `firebase emulators:start` serves these ports (see firebase.json)
+            if (settings.useEmulators) {
+                firestore.useEmulator('localhost', 8080);
+                auth.useEmulator('http://localhost:9099');
+            }
+        },
+
+        list: async (table, where = {}) => {
+            let query = firestore.collection(table);
+            Object.entries(where).forEach(([field, value]) => {
+                query = query.where(field, '==', value);
+            });
+            const snapshot = await query.get();
+            return snapshot.docs.map(fromFirestore);
+        },
+
+        put: (table, doc) => firestore.collection(table).doc(doc.id).set(toFirestore(table, doc)),
+
+        remove: (table, id) => firestore.collection(table).doc(id).delete(),
+
+        // One write, so the rules can check a vote against its audit entry (getAfter)
+        batch: (changes) => {
+            const batch = firestore.batch();
+            changes.forEach(({ table, doc, id, now, merge }) => {
+                if (doc) {
+                    batch.set(firestore.collection(table).doc(doc.id), toFirestore(table, doc, now), { merge: !!merge });
+                } else {
+                    batch.delete(firestore.collection(table).doc(id));
+                }
+            });
+            return batch.commit();
+        }
+    }, { name: 'firestore', auth: firebaseAuth, subscribe });
+};
@@ -0,0 +1,55 @@
+/**
+ * Open Eyes Vote - localStorage Adapter
+ * Keeps everything in this browser; handy for demos and single-device kiosks.
+ */
+
+const STORAGE_KEYS = {
+    users: 'brewvote_users',
+    votes: 'brewvote_votes',
+    sessions: 'brewvote_sessions',
+    options: 'brewvote_options',
+    voteChanges: 'brewvote_vote_changes',
+    subscribers: 'brewvote_notifications',
+    notificationHistory: 'notification_history'
+};
+
+const LocalStorageAdapter = () => {
+    const read = (table) => JSON.parse(localStorage.getItem(STORAGE_KEYS[table]) || '[]');
+    const write = (table, docs) => localStorage.setItem(STORAGE_KEYS[table], JSON.stringify(docs));
+
+    const put = (table, doc) => {
+        const docs = read(table);
+        const idx = docs.findIndex(d => d.id === doc.id);
+        if (idx === -1) {
+            docs.push(doc);
+        } else {
+            docs[idx] = doc;
+        }
+        write(table, docs);
+    };
+
+    const remove = (table, id) => {
+        write(table, read(table).filter(d => d.id !== id));
+    };
+
+    return DocumentStorage({
+        init: async () => {},
+
+        list: async (table, where = {}) => {
+            return read(table).filter(doc => Object.entries(where).every(([field, value]) => doc[field] === value));
+        },
+
+        put: async (table, doc) => put(table, doc),
+
+        remove: async (table, id) => remove(table, id),
+
+        // Docs already carry this browser's time, which is the only clock here
+        batch: async (changes) => {
+            changes.forEach(({ table, doc, id, merge }) => {
+                if (!doc) return remove(table, id);
+                const stored = merge && read(table).find(d => d.id === doc.id);
+                put(table, { ...stored, ...doc });
+            });
+        }
+    }, { name: 'local' });
+};
@@ -0,0 +1,228 @@
+/**
+ * Open Eyes Vote - REST Adapter
+ * Talks to server.js; the server enforces roles, deadlines and one vote per user.
+ */
+
+const TOKEN_KEY = 'brewvote_token';
+
+// hooks.onAuthError(err) is told about 401/403 responses and returns true if it reported them
+const RestAdapter = (config, hooks) => {
+    const CURRENT_USER_KEY = 'brewvote_current_user';
+
+    // The raw response; failures become errors carrying the server's message and status
+    const fetchOk = async (endpoint, options = {}) => {
+        const url = `${config.apiBaseUrl}${endpoint}`;
+        const token = localStorage.getItem(TOKEN_KEY);
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            }
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            const err = new Error(error.error || 'API Error');
+            err.status = response.status;
+
+            // Auth failures are reported here so every caller, including the pollers, surfaces them
+            if (response.status === 401 || response.status === 403) {
+                err.notified = hooks.onAuthError(err);
+            }
+            throw err;
+        }
+        return response;
+    };
+
+    const request = async (endpoint, options) => (await fetchOk(endpoint, options)).json();
+
+    const send = (method, data) => ({ method, body: JSON.stringify(data) });
+
+    return {
+        name: 'rest',
+        features: { schedules: true, subscribers: true, webhooks: true, push: true, reminders: true, exports: true, sheets: true, backup: true, roster: true, setupCodes: true, anonymous: true, prep: true, preferences: true },
+
+        init: async () => {
+            try {
+                // Initialize server (create admin if needed)
+                await request('/init', { method: 'POST' });
+            } catch (err) {
+                console.error('Init error:', err);
+            }
+        },
+
+        auth: {
+            // Confirms the stored token is still valid
+            restore: async () => {
+                if (!localStorage.getItem(CURRENT_USER_KEY) || !localStorage.getItem(TOKEN_KEY)) return null;
+                try {
+                    const user = await request('/auth/me');
+                    localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+                    return user;
+                } catch (err) {
+                    localStorage.removeItem(CURRENT_USER_KEY);
+                    localStorage.removeItem(TOKEN_KEY);
+                    return null;
+                }
+            },
+
+            login: async (data) => {
+                const { token, user } = await request('/auth/login', send('POST', data));
+                localStorage.setItem(TOKEN_KEY, token);
+                localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+                return user;
+            },
+
+            logout: async () => {
+                localStorage.removeItem(CURRENT_USER_KEY);
+                localStorage.removeItem(TOKEN_KEY);
+            },
+
+            changePassword: (data) => request('/auth/password', send('POST', data)),
+
+            // { email } for "you haven't voted yet" reminders; returns the updated user
+            updateReminders: async (data) => {
+                const user = await request('/auth/reminders', send('PUT', data));
+                localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+                return user;
+            },
+
+            // { option, preferences }: the usual answers to an option's modifiers; returns the updated user
+            updatePreferences: async (data) => {
+                const user = await request('/auth/preferences', send('PUT', data));
+                localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+                return user;
+            }
+        },
+
+        sessions: {
+            getActive: () => request('/sessions/active'),
+            getRecent: (limit, closedOnly = false) => request(`/stats/sessions?limit=${limit}${closedOnly ? '&closed=true' : ''}`),
+            start: (data) => request('/sessions/start', send('POST', data)),
+            end: (id) => request(`/sessions/${id}/end`, { method: 'POST' }),
+            remind: (id) => request(`/sessions/${id}/remind`, { method: 'POST' }),
+            // Round-by-round results from the server's tally engine
+            results: (id) => request(`/sessions/${id}/results`),
+            // What to prepare, from the votes and from recent sessions' turnout
+            prep: (id) => request(`/sessions/${id}/prep`),
+            remove: (id) => request(`/sessions/${id}`, { method: 'DELETE' })
+        },
+
+        votes: {
+            getBySession: (sessionId) => request(`/votes/session/${sessionId}`),
+            cast: (data) => request('/votes', send('POST', data)),
+            update: (id, data) => request(`/votes/${id}`, send('PUT', data)),
+            remove: (id) => request(`/votes/${id}`, { method: 'DELETE' })
+        },
+
+        options: {
+            getAll: () => request('/options'),
+            create: (data) => request('/options', send('POST', data)),
+            update: (id, data) => request(`/options/${id}`, send('PUT', data)),
+            remove: (id) => request(`/options/${id}`, { method: 'DELETE' })
+        },
+
+        schedules: {
+            getAll: () => request('/schedules'),
+            upcoming: (limit) => request(`/schedules/upcoming?limit=${limit}`),
+            create: (data) => request('/schedules', send('POST', data)),
+            update: (id, data) => request(`/schedules/${id}`, send('PUT', data)),
+            remove: (id) => request(`/schedules/${id}`, { method: 'DELETE' })
+        },
+
+        // The roster; importRoster takes CSV text and reports what it did (or would do, with dryRun)
+        users: {
+            getAll: () => request('/users'),
+            create: (data) => request('/users', send('POST', data)),
+            update: (id, data) => request(`/users/${id}`, send('PUT', data)),
+            merge: (id, intoId) => request(`/users/${id}/merge`, send('POST', { intoId })),
+            // { code, expiresAt }; the code is only shown this once
+            issueSetupCode: (id) => request(`/users/${id}/setup-code`, { method: 'POST' }),
+            importRoster: (csv, { dryRun = false, deactivateMissing = false } = {}) => request(
+                `/users/import?dryRun=${dryRun}&deactivateMissing=${deactivateMissing}`,
+                send('POST', { csv })
+            )
+        },
+
+        // No notify(): the server emails subscribers itself when sessions open, near closing and close
+        subscribers: {
+            getAll: () => request('/subscribers'),
+            add: (email) => request('/subscribers', send('POST', { email })),
+            remove: (id) => request(`/subscribers/${id}`, { method: 'DELETE' })
+        },
+
+        // Web Push subscriptions of this browser; the server pushes session news to them
+        push: {
+            getKey: () => request('/push/key'),
+            subscribe: (subscription) => request('/push/subscriptions', send('POST', subscription)),
+            unsubscribe: (endpoint) => request('/push/subscriptions', send('DELETE', { endpoint }))
+        },
+
+        webhooks: {
+            getAll: () => request('/webhooks'),
+            deliveries: (limit) => request(`/webhooks/deliveries?limit=${limit}`),
+            create: (data) => request('/webhooks', send('POST', data)),
+            update: (id, data) => request(`/webhooks/${id}`, send('PUT', data)),
+            rotateSecret: (id) => request(`/webhooks/${id}/secret`, { method: 'POST' }),
+            test: (id) => request(`/webhooks/${id}/test`, { method: 'POST' }),
+            remove: (id) => request(`/webhooks/${id}`, { method: 'DELETE' })
+        },
+
+        // Versioned JSON archives of all voting data; restore reports what it did (or would do, with dryRun)
+        backup: {
+            create: () => request('/admin/backup'),
+            restore: (archive, { mode = 'merge', dryRun = false } = {}) => request(
+                `/admin/restore?mode=${mode}&dryRun=${dryRun}`,
+                send('POST', archive)
+            )
+        },
+
+        // Google Sheets sync settings and log; syncSession writes a closed session again
+        sheets: {
+            get: (limit) => request(`/sheets?limit=${limit}`),
+            save: (data) => request('/sheets', send('PUT', data)),
+            syncSession: (sessionId) => request(`/sheets/sessions/${sessionId}`, { method: 'POST' })
+        },
+
+        // Spreadsheet downloads; kind is 'sessions' or 'votes', query is { format, from, to, timezone }
+        exports: {
+            download: async (kind, query) => {
+                const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+                return (await fetchOk(`/export/${kind}?${params}`)).blob();
+            }
+        },
+
+        stats: {
+            get: () => request('/stats')
+        },
+
+        // Server-Sent Events; calls onError whenever the stream drops and returns a function that closes it
+        subscribe: (handlers, { onOpen, onError }) => {
+            let source = null;
+            let retryTimeout = null;
+
+            const connect = () => {
+                // EventSource can't send headers, so the token goes in the query string
+                const token = localStorage.getItem(TOKEN_KEY);
+                source = new EventSource(`${config.apiBaseUrl}/events?token=${encodeURIComponent(token)}`);
+                source.onopen = onOpen;
+                source.onerror = () => {
+                    onError();
+                    // The browser retries dropped connections itself, but not rejected ones
+                    if (source.readyState === EventSource.CLOSED) {
+                        retryTimeout = setTimeout(connect, 30000);
+                    }
+                };
+                Object.entries(handlers).forEach(([type, handler]) => {
+                    source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+                });
+            };
+
+            connect();
+            return () => {
+                clearTimeout(retryTimeout);
+                source.close();
+            };
+        }
+    };
+};
@@ -0,0 +1,26 @@
+/**
+ * Open Eyes Vote - Service Worker
+ * Shows the server's Web Push notifications, even when no tab has the app open
+ */
+
+// Payload from push.js: { title, body, tag, url }
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(data.title || 'Open Eyes Vote', {
+        body: data.body,
+        tag: data.tag,
+        renotify: true,
+        data: { url: data.url || self.registration.scope }
+    }));
+});
+
+// Focus an open tab of the app if there is one, otherwise open it
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data.url;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(w => w.url.startsWith(self.registration.scope));
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
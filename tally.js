@@ -0,0 +1,92 @@
+/**
+ * Open Eyes Vote - Tally Engines
+ * Turns a poll's ballots into results: plurality, approval and instant-runoff, round by round.
+ * Loaded by the server (results.js) and, as the `Tally` global, by storage/documents.js in the browser.
+ */
+
+const Tally = (() => {
+    // How each poll type is counted
+    const TALLY_METHODS = {
+        SINGLE: 'PLURALITY',
+        MULTIPLE: 'APPROVAL',
+        RANKED: 'INSTANT_RUNOFF'
+    };
+
+    // The options with the most votes in a round
+    const leaders = (counts, keys) => {
+        const most = Math.max(...keys.map(key => counts[key]));
+        return keys.filter(key => counts[key] === most);
+    };
+
+    // Plurality and approval: one round where each ballot counts for the options counted() picks from it
+    const singleRound = (method, keys, ballots, counted) => {
+        const counts = Object.fromEntries(keys.map(key => [key, 0]));
+        ballots.forEach(ballot => counted(ballot).forEach(key => {
+            counts[key]++;
+        }));
+        return {
+            method,
+            ballots: ballots.length,
+            rounds: [{ counts, exhausted: 0, eliminated: [] }],
+            winners: ballots.length ? leaders(counts, keys) : []
+        };
+    };
+
+    // Each round counts every ballot for its highest-ranked option still in the running. An option with
+    // more than half of those votes wins; otherwise the options with the fewest votes are dropped together
+    // and their ballots move on to their next choice. Ballots with no choice left are exhausted. If every
+    // option left is tied, they all win.
+    const instantRunoff = (keys, ballots) => {
+        const rounds = [];
+        let running = keys;
+        for (;;) {
+            const counts = Object.fromEntries(running.map(key => [key, 0]));
+            let exhausted = 0;
+            ballots.forEach(ballot => {
+                const next = ballot.find(key => running.includes(key));
+                if (next) {
+                    counts[next]++;
+                } else {
+                    exhausted++;
+                }
+            });
+            const round = { counts, exhausted, eliminated: [] };
+            rounds.push(round);
+
+            const continuing = ballots.length - exhausted;
+            const result = (winners) => ({ method: TALLY_METHODS.RANKED, ballots: ballots.length, rounds, winners });
+            if (continuing === 0) return result([]);
+
+            const [top] = leaders(counts, running);
+            if (counts[top] * 2 > continuing) return result([top]);
+
+            const fewest = Math.min(...running.map(key => counts[key]));
+            const last = running.filter(key => counts[key] === fewest);
+            if (last.length === running.length) return result(running);
+
+            round.eliminated = last;
+            running = running.filter(key => !last.includes(key));
+        }
+    };
+
+    /**
+     * Counts ballots (each a list of option keys, first choice first) the way the poll type says.
+     * Every option offered is in the running, plus any other key a ballot names.
+     * Resolves to { method, ballots, rounds, winners }: each round is { counts, exhausted, eliminated }
+     * with the votes per option still in the running, the ballots that no longer count and the options
+     * dropped after it. winners lists the option keys that won: several on a tie, none without votes.
+     */
+    const tallyBallots = (pollType, optionKeys, ballots) => {
+        const keys = [...new Set([...optionKeys, ...ballots.flat()])];
+        if (pollType === 'RANKED') return instantRunoff(keys, ballots);
+        if (pollType === 'MULTIPLE') return singleRound(TALLY_METHODS.MULTIPLE, keys, ballots, ballot => ballot);
+        return singleRound(TALLY_METHODS.SINGLE, keys, ballots, ballot => [ballot[0]]);
+    };
+
+    return {
+        TALLY_METHODS,
+        tallyBallots
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = Tally;
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TALLY_METHODS, tallyBallots } = require('../tally');
+
+test('plurality counts first choices only', () => {
+    const result = tallyBallots('SINGLE', ['COFFEE', 'TEA'], [['COFFEE', 'TEA'], ['TEA'], ['COFFEE']]);
+    assert.equal(result.method, TALLY_METHODS.SINGLE);
+    assert.equal(result.ballots, 3);
+    assert.deepEqual(result.rounds, [{ counts: { COFFEE: 2, TEA: 1 }, exhausted: 0, eliminated: [] }]);
+    assert.deepEqual(result.winners, ['COFFEE']);
+});
+
+test('approval counts every choice', () => {
+    const result = tallyBallots('MULTIPLE', ['COFFEE', 'TEA', 'JUICE'], [['COFFEE', 'TEA'], ['TEA'], ['JUICE']]);
+    assert.equal(result.method, TALLY_METHODS.MULTIPLE);
+    assert.deepEqual(result.rounds[0].counts, { COFFEE: 1, TEA: 2, JUICE: 1 });
+    assert.deepEqual(result.winners, ['TEA']);
+});
+
+test('ties list every leader, in offered order', () => {
+    const result = tallyBallots('SINGLE', ['COFFEE', 'TEA', 'JUICE'], [['TEA'], ['COFFEE']]);
+    assert.deepEqual(result.winners, ['COFFEE', 'TEA']);
+});
+
+test('no ballots means no winners, with every offered option at zero', () => {
+    for (const pollType of ['SINGLE', 'MULTIPLE', 'RANKED']) {
+        const result = tallyBallots(pollType, ['COFFEE', 'TEA'], []);
+        assert.deepEqual(result.winners, [], pollType);
+        assert.deepEqual(result.rounds[0].counts, { COFFEE: 0, TEA: 0 }, pollType);
+    }
+});
+
+test('keys only a ballot names are counted too', () => {
+    const result = tallyBallots('SINGLE', ['COFFEE'], [['MATCHA'], ['MATCHA'], ['COFFEE']]);
+    assert.deepEqual(result.rounds[0].counts, { COFFEE: 1, MATCHA: 2 });
+    assert.deepEqual(result.winners, ['MATCHA']);
+});
+
+test('instant runoff wins outright with a first-round majority', () => {
+    const result = tallyBallots('RANKED', ['A', 'B', 'C'], [['A'], ['A', 'B'], ['B'], ['C', 'A'], ['A']]);
+    assert.equal(result.method, TALLY_METHODS.RANKED);
+    assert.equal(result.rounds.length, 1);
+    assert.deepEqual(result.winners, ['A']);
+});
+
+test('instant runoff drops the last option and moves its ballots on', () => {
+    const ballots = [['A', 'B'], ['A'], ['B', 'A'], ['B'], ['C', 'B']];
+    const result = tallyBallots('RANKED', ['A', 'B', 'C'], ballots);
+
+    assert.deepEqual(result.rounds.map(r => r.counts), [{ A: 2, B: 2, C: 1 }, { A: 2, B: 3 }]);
+    assert.deepEqual(result.rounds.map(r => r.eliminated), [['C'], []]);
+    assert.deepEqual(result.winners, ['B']);
+});
+
+test('instant runoff drops every option tied for last together', () => {
+    const ballots = [['A'], ['A'], ['A'], ['B', 'A'], ['C', 'D'], ['D', 'C'], ['D']];
+    const result = tallyBallots('RANKED', ['A', 'B', 'C', 'D'], ballots);
+
+    assert.deepEqual(result.rounds[0].eliminated, ['B', 'C']);
+    assert.deepEqual(result.rounds[1].counts, { A: 4, D: 3 });
+    assert.deepEqual(result.winners, ['A']);
+});
+
+test('exhausted ballots stop counting towards the majority', () => {
+    const ballots = [['A'], ['A'], ['B'], ['B'], ['C']];
+    const result = tallyBallots('RANKED', ['A', 'B', 'C'], ballots);
+
+    // C's only ballot has no next choice, so 4 continuing ballots split 2-2 and A and B tie
+    assert.deepEqual(result.rounds[0].eliminated, ['C']);
+    assert.equal(result.rounds[1].exhausted, 1);
+    assert.deepEqual(result.winners, ['A', 'B']);
+});
+
+test('instant runoff with every ballot exhausted has no winner', () => {
+    const result = tallyBallots('RANKED', ['A', 'B'], [[], []]);
+    assert.equal(result.rounds[0].exhausted, 2);
+    assert.deepEqual(result.winners, []);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderWebhook } = require('../webhooks');
+
+// MAX_QUESTION_LENGTH in server.js
+const question = 'Q'.repeat(199) + '?';
+const session = { question, closesAt: new Date().toISOString() };
+
+test('Slack headers stay within 150 characters for the longest questions', () => {
+    const started = JSON.parse(renderWebhook('SLACK', 'session.started', { session, options: [{ key: 'A', label: 'A' }] }));
+    const ended = JSON.parse(renderWebhook('SLACK', 'session.ended', { session, options: [], totals: {}, totalVotes: 0 }));
+
+    for (const body of [started, ended]) {
+        const header = body.blocks.find(b => b.type === 'header').text.text;
+        assert.ok(header.length <= 150, `header is ${header.length} characters`);
+        assert.ok(header.endsWith('…'));
+        // Notifications still show the whole question
+        assert.ok(body.text.includes(question));
+    }
+});
+
+test('Slack headers that fit are left alone', () => {
+    const body = JSON.parse(renderWebhook('SLACK', 'session.started', { session: { ...session, question: 'Lunch?' }, options: [] }));
+    assert.equal(body.blocks[0].text.text, '🗳️ Lunch?');
+});
+
+test('truncated Slack headers never end in half an emoji', () => {
+    const body = JSON.parse(renderWebhook('SLACK', 'session.started', { session: { ...session, question: '☕'.repeat(10) + '😀'.repeat(100) }, options: [] }));
+    const header = body.blocks[0].text.text;
+    assert.ok(header.length <= 150);
+    assert.doesNotMatch(header, /[\uD800-\uDBFF]…$/);
+});
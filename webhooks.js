@@ -0,0 +1,231 @@
+/**
+ * Open Eyes Vote - Chat Webhooks
+ * Slack, Microsoft Teams and Google Chat messages for session events, signed and retried
+ */
+
+const crypto = require('crypto');
+const { Webhook, WebhookDelivery } = require('./models');
+const { createOutboxWorker } = require('./outbox');
+const { escapeHtml, formatTime, rankResults, describeRunoff, describePrep } = require('./email');
+
+const APP_URL = process.env.APP_URL || '';
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const SLACK_HEADER_MAX_LENGTH = 150; // Slack refuses longer plain_text headers with a 400
+
+// ===== MESSAGES =====
+
+// Platform-neutral { title, text, facts } per event; data is { session, options, totals, totalVotes, results }
+// or, for reminders, { session, pending } with the number of employees who haven't voted
+const messages = {
+    'session.started': ({ session, options }) => ({
+        title: session.question ? `🗳️ ${session.question}` : '☕ Voting is open',
+        text: `${session.description ? `${session.description}\n` : ''}Cast your vote before ${formatTime(session.closesAt)}.`,
+        facts: [
+            { label: session.question ? 'Options' : 'Menu', value: options.map(o => o.label).join(', ') },
+            { label: 'Closes', value: formatTime(session.closesAt) }
+        ]
+    }),
+
+    'session.closing': ({ session, totalVotes }) => ({
+        title: '⏳ Voting closes in 2 minutes',
+        text: `Last call! Voting closes at ${formatTime(session.closesAt)}.`,
+        facts: [{ label: 'Votes so far', value: String(totalVotes) }]
+    }),
+
+    'session.reminder': ({ session, pending }) => ({
+        title: '⏰ Still waiting for votes',
+        text: `${pending} ${pending === 1 ? "person hasn't" : "people haven't"} voted yet. Voting closes at ${formatTime(session.closesAt)}.`,
+        facts: []
+    }),
+
+    'session.ended': ({ session, options, totals, totalVotes, results, prep }) => {
+        const { rows, winners } = rankResults(options, totals, results);
+        let text = 'No votes were cast.';
+        if (winners.length > 1) {
+            text = `It's a tie between ${winners.map(w => w.label).join(' & ')}.`;
+        } else if (winners.length === 1) {
+            text = `${winners[0].label} wins with ${winners[0].count} of ${totalVotes} vote(s).`;
+        }
+        const runoff = describeRunoff(results);
+        if (runoff) text += ` ${runoff}`;
+        const { prepare, ingredients, forecast } = describePrep(prep);
+        if (forecast) text += ` ${forecast}.`;
+        return {
+            title: session.question ? `📊 Results: ${session.question}` : '📊 Voting has closed',
+            text,
+            facts: [
+                ...rows.map(r => ({ label: r.label, value: String(r.count) })),
+                ...(prepare ? [{ label: 'To prepare', value: prepare }] : []),
+                ...(ingredients ? [{ label: "You'll need", value: ingredients }] : [])
+            ]
+        };
+    },
+
+    'webhook.test': () => ({
+        title: '🔔 Test message',
+        text: 'This webhook is connected to Open Eyes Vote.',
+        facts: []
+    })
+};
+
+// ===== FORMATS =====
+
+// Cut to at most max characters, ending in "…" when shortened; never splits an emoji's surrogate pair
+const truncate = (value, max) => {
+    if (value.length <= max) return value;
+    const cut = value.slice(0, max - 1);
+    return `${/[\uD800-\uDBFF]$/.test(cut) ? cut.slice(0, -1) : cut}…`;
+};
+
+// Slack treats &, < and > as markup in mrkdwn text
+const escapeSlack = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const formats = {
+    // Block Kit; the top-level text is what notifications show
+    SLACK: ({ title, text, facts }) => {
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: truncate(title, SLACK_HEADER_MAX_LENGTH), emoji: true } },
+            { type: 'section', text: { type: 'mrkdwn', text: escapeSlack(text) } }
+        ];
+        // A section holds at most 10 fields
+        for (let i = 0; i < facts.length; i += 10) {
+            blocks.push({
+                type: 'section',
+                fields: facts.slice(i, i + 10).map(f => ({ type: 'mrkdwn', text: `*${escapeSlack(f.label)}*\n${escapeSlack(f.value)}` }))
+            });
+        }
+        if (APP_URL) {
+            blocks.push({
+                type: 'actions',
+                elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open Open Eyes Vote' }, url: APP_URL }]
+            });
+        }
+        return { text: `${title}: ${text}`, blocks };
+    },
+
+    // Adaptive Card, as accepted by Teams incoming webhooks and Workflows
+    TEAMS: ({ title, text, facts }) => ({
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+                    { type: 'TextBlock', text, wrap: true },
+                    ...(facts.length ? [{ type: 'FactSet', facts: facts.map(f => ({ title: f.label, value: f.value })) }] : [])
+                ],
+                actions: APP_URL ? [{ type: 'Action.OpenUrl', title: 'Open Open Eyes Vote', url: APP_URL }] : []
+            }
+        }]
+    }),
+
+    // Cards v2; card text widgets understand a little HTML, so labels are escaped
+    GOOGLE_CHAT: ({ title, text, facts }) => ({
+        cardsV2: [{
+            cardId: 'brewvote',
+            card: {
+                header: { title },
+                sections: [{
+                    widgets: [
+                        { textParagraph: { text: escapeHtml(text) } },
+                        ...facts.map(f => ({ decoratedText: { topLabel: escapeHtml(f.label), text: escapeHtml(f.value) } })),
+                        ...(APP_URL ? [{ buttonList: { buttons: [{ text: 'Open Open Eyes Vote', onClick: { openLink: { url: APP_URL } } }] } }] : [])
+                    ]
+                }]
+            }
+        }]
+    })
+};
+
+const WEBHOOK_FORMATS = Object.keys(formats);
+
+// The request body an event is posted with in the given format
+const renderWebhook = (format, event, data) => JSON.stringify(formats[format](messages[event](data)));
+
+// ===== SIGNING =====
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and reject old timestamps to stop replays
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const createSecret = () => crypto.randomBytes(32).toString('hex');
+
+// ===== OUTBOX =====
+
+// Renders the event for each active webhook (or just webhookId) and returns the queued deliveries
+const queueWebhooks = async (event, data, { sessionId, expiresAt, webhookId } = {}) => {
+    if (!messages[event]) {
+        throw new Error(`Unknown webhook event "${event}"`);
+    }
+
+    const webhooks = await Webhook.find(webhookId ? { id: webhookId } : { isActive: true });
+    if (webhooks.length === 0) return [];
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        webhookName: webhook.name,
+        event,
+        sessionId,
+        expiresAt,
+        body: renderWebhook(webhook.format, event, data)
+    })));
+
+    // Post right away rather than waiting for the next worker tick
+    deliverDueWebhooks();
+    return deliveries;
+};
+
+// Errors that retrying can't fix are marked FAILED straight away
+const permanentError = (message, details) => Object.assign(new Error(message), { details, permanent: true });
+
+// Posts due deliveries; network errors, timeouts, 408, 429 and 5xx responses are retried with backoff
+const deliverDueWebhooks = createOutboxWorker(WebhookDelivery, async (delivery) => {
+    const webhook = await Webhook.findOne({ id: delivery.webhookId });
+    if (!webhook || !webhook.isActive) {
+        throw permanentError('Webhook was removed or disabled');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let response;
+    try {
+        response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'OpenEyesVote-Webhook/1.0',
+                'X-BrewVote-Event': delivery.event,
+                'X-BrewVote-Delivery': delivery.id,
+                'X-BrewVote-Timestamp': timestamp,
+                'X-BrewVote-Signature': `sha256=${sign(webhook.secret, timestamp, delivery.body)}`
+            },
+            body: delivery.body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw Object.assign(err, { details: { responseStatus: null } });
+    }
+
+    if (!response.ok) {
+        const reply = (await response.text().catch(() => '')).slice(0, 200);
+        const message = `HTTP ${response.status}${reply ? `: ${reply}` : ''}`;
+        const details = { responseStatus: response.status };
+        // Any other 4xx means the request itself is wrong (bad URL, revoked webhook, invalid payload)
+        if (response.status < 500 && ![408, 429].includes(response.status)) {
+            throw permanentError(message, details);
+        }
+        throw Object.assign(new Error(message), { details });
+    }
+    return { responseStatus: response.status };
+}, (delivery) => `🔗 ${delivery.event} to "${delivery.webhookName}"`);
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    renderWebhook,
+    createSecret,
+    queueWebhooks,
+    deliverDueWebhooks
+};